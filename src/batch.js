@@ -0,0 +1,224 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { isIgnoredPath } from './helper.js';
+import { convertSpanOffsets, getConfigFileStamps, getModificationStamp, lint, lintProject, resolveOxlintConfigFile } from './oxlint.js';
+
+/**
+ * Extensions of the files oxlint can lint.
+ */
+const LINTABLE_EXTENSIONS = new Set([
+  '.js', '.mjs', '.cjs', '.jsx',
+  '.ts', '.mts', '.cts', '.tsx',
+  '.vue', '.astro', '.svelte',
+]);
+
+/**
+ * Directories never searched for project files, matching ESLint's default ignores.
+ */
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+/**
+ * Ignore files honoured when searching for project files, like oxlint does
+ * when it searches itself: `.gitignore` of every directory, and
+ * `.eslintignore` of the project root.
+ */
+const IGNORE_FILES = ['.gitignore'];
+const ROOT_IGNORE_FILES = ['.gitignore', '.eslintignore'];
+
+// Batches by project root and configuration
+const batches = new Map();
+
+/**
+ * Reads the ignore patterns a directory defines.
+ *
+ * @param {string} dir - Directory
+ * @param {string[]} names - Names of the ignore files to read
+ * @returns {Array<{baseDir: string, patterns: string[]}>} Patterns, with the directory they are relative to
+ */
+function readIgnoreFiles(dir, names) {
+  const ignores = [];
+  for (const name of names) {
+    try {
+      ignores.push({ baseDir: dir, patterns: fs.readFileSync(path.join(dir, name), 'utf-8').split(/\r?\n/) });
+    } catch {
+      // No ignore file here
+    }
+  }
+  return ignores;
+}
+
+/**
+ * Searches a directory for lintable files and oxlint configuration files,
+ * skipping `node_modules`, `.git` and everything the ignore files exclude.
+ *
+ * @param {string} root - Directory to search
+ * @returns {{files: string[], configFiles: string[]}} Absolute paths of the lintable files and of the config files
+ */
+function walkProject(root) {
+  const files = [];
+  const configFiles = [];
+  const pending = [{ dir: root, inherited: [] }];
+
+  const isIgnored = (entryPath, ignores, isDirectory) => ignores.some(({ baseDir, patterns }) =>
+    isIgnoredPath(path.relative(baseDir, entryPath).split(path.sep).join('/'), patterns, isDirectory));
+
+  while (pending.length > 0) {
+    const { dir, inherited } = pending.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    const ignores = [...inherited, ...readIgnoreFiles(dir, dir === root ? ROOT_IGNORE_FILES : IGNORE_FILES)];
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name) && !isIgnored(entryPath, ignores, true)) {
+          pending.push({ dir: entryPath, inherited: ignores });
+        }
+      } else if (entry.isFile() && entry.name === '.oxlintrc.json') {
+        configFiles.push(entryPath);
+      } else if (entry.isFile() && LINTABLE_EXTENSIONS.has(path.extname(entry.name)) && !isIgnored(entryPath, ignores, false)) {
+        files.push(entryPath);
+      }
+    }
+  }
+
+  return { files, configFiles };
+}
+
+/**
+ * Collects every lintable file below a directory, honouring `.gitignore`
+ * files and the `.eslintignore` of the directory.
+ *
+ * @param {string} root - Directory to search
+ * @returns {string[]} Absolute file paths
+ */
+export function collectProjectFiles(root) {
+  return walkProject(root).files;
+}
+
+/**
+ * Checks whether a batch no longer reflects the configuration of a file: one
+ * of the config files it read changed, or the file now has a nearer one.
+ *
+ * @param {object} batch - Batch, see `getBatch()`
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean} True if the batch has to run again
+ */
+function isBatchStale(batch, filePath) {
+  for (const [configFile, stamp] of batch.configStamps) {
+    if (getModificationStamp(configFile) !== stamp) return true;
+  }
+  if (!batch.results?.has(filePath)) return false;
+  const nearest = resolveOxlintConfigFile(filePath);
+  return nearest !== null && !batch.configStamps.has(nearest);
+}
+
+/**
+ * Returns the batch of a project root and configuration, linting the whole
+ * project on first access and again once its configuration changed.
+ *
+ * @param {string} root - Project root
+ * @param {object} config - Inline oxlint configuration
+ * @param {object} options - Lint options, see `lintProject()` of `./oxlint.js`
+ * @param {string} filePath - Absolute path of the file about to be looked up
+ * @returns {{startTime: number, configStamps: Map<string, string|null>, results: Map<string, object[]>|null}} Batch
+ */
+function getBatch(root, config, options, filePath) {
+  const key = JSON.stringify([
+    root,
+    config,
+    options.enforcedRules || {},
+    Boolean(options.typeAware),
+    Boolean(options.mergeNestedConfigs),
+    options.configPrecedence || 'file',
+    options.binary || null,
+    options.timeout ?? null,
+  ]);
+  let batch = batches.get(key);
+
+  if (!batch || isBatchStale(batch, filePath)) {
+    const { files, configFiles } = walkProject(root);
+    batch = {
+      startTime: Date.now(),
+      configStamps: getConfigFileStamps(configFiles),
+      results: null,
+    };
+    batches.set(key, batch);
+
+    try {
+      const project = lintProject(root, files, config, options);
+      batch.results = project.results;
+      batch.configStamps = getConfigFileStamps([...configFiles, ...project.configFiles]);
+    } catch {
+      // Fall back to linting file by file, whose failures go through `onError`
+    }
+  }
+  return batch;
+}
+
+/**
+ * Returns the diagnostics of a file from its batch, or null when the batch
+ * cannot answer for the code: the file was not part of it, or its code
+ * differs from disk or changed since the batch ran.
+ *
+ * @param {object} batch - Batch, see `getBatch()`
+ * @param {string} code - Source code
+ * @param {string} filePath - File path
+ * @returns {object[]|null} Diagnostics with spans in string indices, or null
+ */
+function lookupBatch(batch, code, filePath) {
+  const diagnostics = batch.results?.get(filePath);
+  if (!diagnostics) {
+    return null;
+  }
+
+  try {
+    if (fs.statSync(filePath).mtimeMs >= batch.startTime || fs.readFileSync(filePath, 'utf-8') !== code) {
+      return null;
+    }
+  } catch {
+    return null;
+  }
+
+  return convertSpanOffsets({ diagnostics: structuredClone(diagnostics) }, code).diagnostics;
+}
+
+/**
+ * Lints code like `lint()` of `./oxlint.js`, answering from a single oxlint
+ * run over the whole project when possible. Code blocks of processors and
+ * files whose code differs from disk are linted on their own.
+ *
+ * @param {string} code - Source code to lint
+ * @param {string} filePath - Original file path, possibly a virtual name from a processor
+ * @param {object} config - Oxlint configuration
+ * @param {object} [options] - Lint options of `lint()`, plus:
+ * @param {string} [options.root] - Project root, defaults to the working directory
+ * @returns {object} Lint results with diagnostics array
+ */
+export function lintWithBatch(code, filePath, config = {}, options = {}) {
+  const { root = process.cwd() } = options;
+  const physicalFilename = options.physicalFilename || filePath;
+  const absolutePath = path.resolve(root, filePath);
+
+  if (filePath === physicalFilename && !path.relative(root, absolutePath).startsWith('..')) {
+    const batch = getBatch(root, config, {
+      enforcedRules: options.enforcedRules,
+      typeAware: options.typeAware,
+      mergeNestedConfigs: options.mergeNestedConfigs,
+      configPrecedence: options.configPrecedence,
+      binary: options.binary,
+      timeout: options.timeout,
+    }, absolutePath);
+    const diagnostics = lookupBatch(batch, code, absolutePath);
+    if (diagnostics) {
+      return { diagnostics };
+    }
+  }
+
+  return lint(code, filePath, config, { ...options, root });
+}
@@ -0,0 +1,188 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import path, { dirname, join } from 'node:path';
+import process from 'node:process';
+
+/**
+ * Default directory of the persistent result cache.
+ */
+export const DEFAULT_CACHE_LOCATION = join(process.cwd(), 'node_modules', '.cache', 'oxlint-x');
+
+/**
+ * Maximum number of results kept in memory.
+ */
+const MAX_MEMORY_ENTRIES = 1000;
+
+/**
+ * Maximum total size in bytes of the results kept on disk. The oldest results
+ * are removed when it is exceeded, down to `DISK_PRUNE_RATIO` of it.
+ */
+const MAX_DISK_SIZE = 50 * 1024 * 1024;
+const DISK_PRUNE_RATIO = 0.8;
+
+/**
+ * Directories of the persistent cache, one per oxlint version.
+ */
+const VERSION_DIR_PREFIX = 'oxlint-';
+const VERSION_DIR_PATTERN = /^oxlint-[0-9a-f]{16}$/;
+
+// Results by key, in least recently used order
+const memoryCache = new Map();
+
+// State of each persistent cache directory, by directory
+const diskCaches = new Map();
+
+/**
+ * Hashes the parts of a cache key.
+ *
+ * @param {Array<*>} parts - JSON-serializable parts, e.g. the code, the effective config and the oxlint version
+ * @returns {string} Hex digest
+ */
+export function createCacheKey(parts) {
+  return createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Returns the state of a persistent cache directory. Directories are grouped
+ * by oxlint version, and the groups of other versions are removed.
+ *
+ * @param {string} location - Cache location
+ * @param {string} version - Fingerprint of the oxlint binary
+ * @returns {{dir: string, entries: Map<string, {size: number, time: number}>, totalSize: number}|null} Cache state, or null if the directory is unusable
+ */
+function getDiskCache(location, version) {
+  const dir = join(path.resolve(location), VERSION_DIR_PREFIX + createCacheKey([version]).slice(0, 16));
+  if (diskCaches.has(dir)) {
+    return diskCaches.get(dir);
+  }
+
+  let state = null;
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Results of other oxlint versions are never read again
+    for (const entry of fs.readdirSync(dirname(dir), { withFileTypes: true })) {
+      const entryPath = join(dirname(dir), entry.name);
+      if (entry.isDirectory() && VERSION_DIR_PATTERN.test(entry.name) && entryPath !== dir) {
+        fs.rmSync(entryPath, { recursive: true, force: true });
+      }
+    }
+
+    state = { dir, entries: new Map(), totalSize: 0 };
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith('.json')) continue;
+      const stat = fs.statSync(join(dir, name));
+      state.entries.set(name, { size: stat.size, time: stat.mtimeMs });
+      state.totalSize += stat.size;
+    }
+  } catch (error) {
+    console.warn('[eslint-plugin-oxlint-x] Cannot use cache location:', error.message);
+  }
+
+  diskCaches.set(dir, state);
+  return state;
+}
+
+/**
+ * Removes the oldest results of a persistent cache until it is below its size limit.
+ * @param {object} state - Cache state, see `getDiskCache()`
+ */
+function pruneDiskCache(state) {
+  if (state.totalSize <= MAX_DISK_SIZE) return;
+
+  const oldestFirst = [...state.entries].sort(([, a], [, b]) => a.time - b.time);
+  for (const [name, { size }] of oldestFirst) {
+    if (state.totalSize <= MAX_DISK_SIZE * DISK_PRUNE_RATIO) break;
+    try {
+      fs.rmSync(join(state.dir, name), { force: true });
+    } catch { }
+    state.entries.delete(name);
+    state.totalSize -= size;
+  }
+}
+
+/**
+ * Looks up a result, in memory first and then on disk.
+ *
+ * @param {string} key - Cache key, see `createCacheKey()`
+ * @param {object} [options] - Cache options
+ * @param {string} [options.location] - Persistent cache location, omitted for an in-memory lookup only
+ * @param {string} [options.version] - Fingerprint of the oxlint binary
+ * @returns {*} A copy of the cached result, or undefined
+ */
+export function getCachedResult(key, { location, version = '' } = {}) {
+  if (memoryCache.has(key)) {
+    const value = memoryCache.get(key);
+    // Refresh the entry
+    memoryCache.delete(key);
+    memoryCache.set(key, value);
+    return structuredClone(value);
+  }
+
+  if (!location) return undefined;
+  const state = getDiskCache(location, version);
+  const name = `${key}.json`;
+  if (!state?.entries.has(name)) return undefined;
+
+  try {
+    const value = JSON.parse(fs.readFileSync(join(state.dir, name), 'utf-8'));
+    setMemoryResult(key, value);
+    return structuredClone(value);
+  } catch {
+    // Unreadable entries are simply recomputed
+    return undefined;
+  }
+}
+
+/**
+ * Stores a result in memory, evicting the least recently used results.
+ * @param {string} key - Cache key
+ * @param {*} value - Result
+ */
+function setMemoryResult(key, value) {
+  memoryCache.delete(key);
+  memoryCache.set(key, value);
+  while (memoryCache.size > MAX_MEMORY_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+/**
+ * Stores a result in memory and, with a location, on disk.
+ *
+ * @param {string} key - Cache key, see `createCacheKey()`
+ * @param {*} value - JSON-serializable result
+ * @param {object} [options] - Cache options, see `getCachedResult()`
+ */
+export function setCachedResult(key, value, { location, version = '' } = {}) {
+  const copy = structuredClone(value);
+  setMemoryResult(key, copy);
+
+  if (!location) return;
+  const state = getDiskCache(location, version);
+  if (!state) return;
+
+  const name = `${key}.json`;
+  const content = JSON.stringify(copy);
+  try {
+    // Write atomically, concurrent ESLint processes may share the cache
+    const tempPath = join(state.dir, `${name}.${process.pid}.tmp`);
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, join(state.dir, name));
+  } catch {
+    return;
+  }
+
+  const size = Buffer.byteLength(content);
+  state.totalSize += size - (state.entries.get(name)?.size || 0);
+  state.entries.set(name, { size, time: Date.now() });
+  pruneDiskCache(state);
+}
+
+/**
+ * Clears the in-memory results and forgets the state of the persistent caches.
+ */
+export function clearCache() {
+  memoryCache.clear();
+  diskCaches.clear();
+}
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+import process from 'node:process';
+import { printConfig } from './print-config.js';
+
+const USAGE = `Usage: oxlint-x print-config <file> [--json]
+
+Prints the oxlint config eslint-plugin-oxlint-x uses for a file, with the
+source of each rule: the inline rule options, a config file, an extended
+config or a per-rule ESLint rule.
+
+Options:
+  --json  Print the explanation as JSON
+  --help  Show this help`;
+
+/**
+ * Runs the command line.
+ *
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+  const [command, ...rest] = args;
+  if (!command || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    return 0;
+  }
+  if (command !== 'print-config') {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const files = rest.filter(arg => !arg.startsWith('-'));
+  const flags = rest.filter(arg => arg.startsWith('-'));
+  const unknownFlag = flags.find(flag => !['--json', '--help', '-h'].includes(flag));
+  if (flags.includes('--help') || flags.includes('-h')) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (unknownFlag || files.length !== 1) {
+    console.error(`${unknownFlag ? `Unknown option: ${unknownFlag}` : 'Expected exactly one file'}\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    console.log(await printConfig(files[0], { json: flags.includes('--json') }));
+    return 0;
+  } catch (error) {
+    console.error('[eslint-plugin-oxlint-x]', error.message);
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,41 @@
+/**
+ * Syntax error in a JSONC document, with the position it was detected at.
+ */
+export class JsoncSyntaxError extends SyntaxError {
+  /**
+   * @param {string} reason - Description of the error
+   * @param {{offset: number, line: number, column: number}} position - Position in the document, line and column are 1-based
+   */
+  constructor(reason, { offset, line, column }) {
+    super(`${reason} at line ${line}, column ${column}`);
+    this.name = 'JsoncSyntaxError';
+    this.reason = reason;
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Invalid oxlint configuration file. Reported on the linted file rather than
+ * logged, since linting with a partial configuration would be misleading.
+ */
+export class OxlintConfigError extends Error {
+  /**
+   * @param {string} reason - Description of the error
+   * @param {object} location - Location of the error
+   * @param {string} location.filePath - Path of the configuration file
+   * @param {number} [location.line] - 1-based line
+   * @param {number} [location.column] - 1-based column
+   * @param {Error} [cause] - Underlying error
+   */
+  constructor(reason, { filePath, line, column }, cause) {
+    const position = line ? `:${line}:${column}` : '';
+    super(`Invalid oxlint config ${filePath}${position}: ${reason}`, cause ? { cause } : undefined);
+    this.name = 'OxlintConfigError';
+    this.reason = reason;
+    this.filePath = filePath;
+    this.line = line;
+    this.column = column;
+  }
+}
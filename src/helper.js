@@ -1,6 +1,12 @@
 import diff from 'fast-diff';
+import { JsoncSyntaxError } from './errors.js';
 
-const LINE_ENDING_RE = /\r\n|[\n\r\u2028\u2029]/;
+export const LINE_ENDING_RE = /\r\n|[\n\r\u2028\u2029]/;
+
+/**
+ * Maximum number of characters an edit slides, see `getEquivalentEdits()`.
+ */
+const MAX_EDIT_SLIDE = 200;
 
 /**
  * Converts invisible characters to a commonly recognizable visible form.
@@ -179,3 +185,558 @@ export function generateDifferences(source, oxlintSource) {
 generateDifferences.INSERT = 'insert';
 generateDifferences.DELETE = 'delete';
 generateDifferences.REPLACE = 'replace';
+
+/**
+ * End offset of an edit in its source.
+ *
+ * @param {{offset: number, deleteText: string}} edit - Edit from `generateEdits()`
+ * @returns {number} Offset after the deleted text
+ */
+export function getEditEnd({ offset, deleteText }) {
+  return offset + deleteText.length;
+}
+
+/**
+ * Generate the edits between source code and a fixed version of it, one for
+ * every insertion or deletion of fast-diff. Unlike `generateDifferences()`,
+ * nothing is batched, so the edits of different fixes on one line stay apart.
+ *
+ * @param {string} source - The original source code
+ * @param {string} fixedSource - The fixed source code
+ * @returns {Array<{offset: number, deleteText: string, insertText: string}>} Edits in offsets of the source, in order
+ */
+export function generateEdits(source, fixedSource) {
+  const edits = [];
+  let offset = 0;
+  for (const [op, text] of diff(source, fixedSource)) {
+    if (op === diff.INSERT) {
+      edits.push({ offset, deleteText: '', insertText: text });
+      continue;
+    }
+    if (op === diff.DELETE) {
+      edits.push({ offset, deleteText: text, insertText: '' });
+    }
+    offset += text.length;
+  }
+  return edits;
+}
+
+/**
+ * Applies edits to source code. Edits apply in offset order, insertions before
+ * a deletion at the same offset and otherwise in their given order.
+ *
+ * @param {string} source - Source code
+ * @param {Array<{offset: number, deleteText: string, insertText: string}>} edits - Edits in offsets of the source
+ * @returns {string|null} Edited code, or null if edits overlap
+ */
+export function applyEdits(source, edits) {
+  const sorted = [...edits].sort((a, b) =>
+    a.offset - b.offset || Number(a.deleteText !== '') - Number(b.deleteText !== ''));
+  let result = '';
+  let cursor = 0;
+  for (const edit of sorted) {
+    if (edit.offset < cursor) {
+      return null;
+    }
+    result += source.slice(cursor, edit.offset) + edit.insertText;
+    cursor = getEditEnd(edit);
+  }
+  return result + source.slice(cursor);
+}
+
+/**
+ * Moves edits made to a fixed version of source code onto the source code
+ * itself, for instance the edits a dangerous fix pass adds to the safe one.
+ * Edits that touch text the fixed version changed have no place in the
+ * source and are dropped.
+ *
+ * @param {Array<{offset: number, deleteText: string, insertText: string}>} edits - Edits from `generateEdits(base, …)`
+ * @param {string} source - The original source code
+ * @param {string} base - Fixed version of the source the edits apply to
+ * @returns {Array<{offset: number, deleteText: string, insertText: string}>} Edits in offsets of the source
+ */
+export function rebaseEdits(edits, source, base) {
+  if (source === base) {
+    return edits;
+  }
+
+  // Stretches of text both versions share
+  const segments = [];
+  let sourceOffset = 0;
+  let baseOffset = 0;
+  for (const [op, text] of diff(source, base)) {
+    if (op === diff.EQUAL) {
+      segments.push({ sourceOffset, baseOffset, length: text.length });
+    }
+    if (op !== diff.INSERT) sourceOffset += text.length;
+    if (op !== diff.DELETE) baseOffset += text.length;
+  }
+
+  return edits.flatMap(edit => {
+    const segment = segments.find(({ baseOffset: start, length }) =>
+      start <= edit.offset && getEditEnd(edit) <= start + length);
+    return segment ? [{ ...edit, offset: segment.sourceOffset + edit.offset - segment.baseOffset }] : [];
+  });
+}
+
+/**
+ * Finds the other places an edit can move to without changing the result of
+ * all edits. A diff puts an edit at one of several equivalent places, e.g.
+ * deleting `;debugger` or `debugger;` from `;debugger;`; this recovers the
+ * others, sliding the edit along its line and across neighbouring deletions.
+ *
+ * @param {string} source - Source code
+ * @param {Array<{offset: number, deleteText: string, insertText: string}>} edits - Edits in offsets of the source
+ * @param {number} index - Index of the edit to move
+ * @returns {Array<{offset: number, deleteText: string, insertText: string}>} Equivalent edits, nearest first
+ */
+export function getEquivalentEdits(source, edits, index) {
+  const edit = edits[index];
+  const others = edits.filter((_, i) => i !== index);
+  const deletions = others.filter(other => other.deleteText !== '');
+  const isMovable = char => char !== undefined && !LINE_ENDING_RE.test(char);
+
+  const step = (current, direction) => {
+    const { offset, deleteText, insertText } = current;
+    const end = getEditEnd(current);
+    if (deleteText === '') {
+      // An insertion next to a deletion can go to either side of it
+      const deletion = deletions.find(other =>
+        direction < 0 ? getEditEnd(other) === offset : other.offset === offset);
+      if (deletion && !LINE_ENDING_RE.test(deletion.deleteText)) {
+        return { ...current, offset: direction < 0 ? deletion.offset : getEditEnd(deletion) };
+      }
+      const char = direction < 0 ? source[offset - 1] : source[offset];
+      if (!isMovable(char) || char !== (direction < 0 ? insertText.at(-1) : insertText[0])) {
+        return null;
+      }
+      return direction < 0
+        ? { ...current, offset: offset - 1, insertText: char + insertText.slice(0, -1) }
+        : { ...current, offset: offset + 1, insertText: insertText.slice(1) + char };
+    }
+    if (insertText !== '') {
+      return null;
+    }
+    const [from, to] = direction < 0 ? [offset - 1, end - 1] : [offset, end];
+    if (!isMovable(source[from]) || source[from] !== source[to]) {
+      return null;
+    }
+    const start = offset + direction;
+    return { ...current, offset: start, deleteText: source.slice(start, end + direction) };
+  };
+
+  const slide = direction => {
+    const variants = [];
+    for (let current = step(edit, direction); current && variants.length < MAX_EDIT_SLIDE; current = step(current, direction)) {
+      variants.push(current);
+    }
+    return variants;
+  };
+
+  // Only the text around the edit and its neighbours can change
+  const isEquivalent = variant => {
+    let start = Math.min(edit.offset, variant.offset);
+    let end = Math.max(getEditEnd(edit), getEditEnd(variant));
+    const nearby = new Set();
+    for (let grown = true; grown;) {
+      grown = false;
+      for (const other of others) {
+        if (!nearby.has(other) && other.offset <= end && getEditEnd(other) >= start) {
+          nearby.add(other);
+          start = Math.min(start, other.offset);
+          end = Math.max(end, getEditEnd(other));
+          grown = true;
+        }
+      }
+    }
+    const applyNearby = moved => applyEdits(
+      source.slice(start, end),
+      edits
+        .map((other, i) => (i === index ? moved : other))
+        .filter(other => other === moved || nearby.has(other))
+        .map(other => ({ ...other, offset: other.offset - start })),
+    );
+    const expected = applyNearby(edit);
+    return expected !== null && applyNearby(variant) === expected;
+  };
+
+  const left = slide(-1);
+  const right = slide(1);
+  const variants = [];
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    variants.push(...[left[i], right[i]].filter(Boolean));
+  }
+  return variants.filter(isEquivalent);
+}
+
+/**
+ * Merges edits into a single edit from the first to the last changed offset.
+ *
+ * @param {string} source - Source code
+ * @param {Array<{offset: number, deleteText: string, insertText: string}>} edits - Edits in offsets of the source
+ * @returns {{operation: string, offset: number, deleteText: string, insertText: string}} Merged edit, with the operation of `generateDifferences()`
+ */
+export function mergeEdits(source, edits) {
+  const start = Math.min(...edits.map(edit => edit.offset));
+  const end = Math.max(...edits.map(getEditEnd));
+  const deleteText = source.slice(start, end);
+  const insertText = applyEdits(deleteText, edits.map(edit => ({ ...edit, offset: edit.offset - start })));
+
+  let operation = generateDifferences.REPLACE;
+  if (!deleteText) {
+    operation = generateDifferences.INSERT;
+  } else if (!insertText) {
+    operation = generateDifferences.DELETE;
+  }
+  return { operation, offset: start, deleteText, insertText };
+}
+
+/**
+ * Merges edits that touch each other into hunks, see `mergeEdits()`.
+ *
+ * @param {string} source - Source code
+ * @param {Array<{offset: number, deleteText: string, insertText: string}>} edits - Edits in offsets of the source
+ * @returns {Array<{operation: string, offset: number, deleteText: string, insertText: string}>} Hunks in order
+ */
+export function mergeAdjacentEdits(source, edits) {
+  const groups = [];
+  for (const edit of [...edits].sort((a, b) => a.offset - b.offset)) {
+    const group = groups.at(-1);
+    if (group && edit.offset <= Math.max(...group.map(getEditEnd))) {
+      group.push(edit);
+    } else {
+      groups.push([edit]);
+    }
+  }
+  return groups.map(group => mergeEdits(source, group));
+}
+
+/**
+ * Plugin scopes whose diagnostic or config spelling differs from the
+ * scope used in the oxlint rule catalog.
+ */
+const SCOPE_ALIASES = {
+  'typescript-eslint': 'typescript',
+  'next': 'nextjs',
+};
+
+/**
+ * Normalizes an oxlint rule name to the `scope/rule` form used for virtual rules.
+ *
+ * Examples:
+ * - `eslint/no-debugger` → `eslint/no-debugger`
+ * - `@typescript-eslint/no-explicit-any` → `typescript/no-explicit-any`
+ * - `eslint-plugin-jsx-a11y/alt-text` → `jsx-a11y/alt-text`
+ * - `react_perf/jsx-no-new-object-as-prop` → `react-perf/jsx-no-new-object-as-prop`
+ *
+ * Names without a scope are returned unchanged.
+ *
+ * @param {string} name - Rule name as written in a config or catalog
+ * @returns {string} Normalized rule name
+ */
+export function normalizeRuleName(name) {
+  const slash = name.lastIndexOf('/');
+  if (slash === -1) {
+    return name;
+  }
+
+  const scope = name.slice(0, slash).replace(/^@/, '').replace(/^eslint-plugin-/, '');
+  return `${(SCOPE_ALIASES[scope] || scope).replace(/_/g, '-')}/${name.slice(slash + 1)}`;
+}
+
+/**
+ * Converts an oxlint diagnostic code such as `eslint-plugin-react(jsx-key)`
+ * to the normalized rule name (`react/jsx-key`).
+ *
+ * @param {string} code - Diagnostic code from the oxlint JSON output
+ * @returns {string|null} Normalized rule name, or null if the code has no rule
+ */
+export function codeToRuleName(code) {
+  const match = /^(.+)\((.+)\)$/.exec(code || '');
+  return match ? normalizeRuleName(`${match[1]}/${match[2]}`) : null;
+}
+
+/**
+ * Creates a converter from UTF-8 byte offsets, as used in oxlint spans, to
+ * UTF-16 string indices, as used by ESLint. ASCII-only text needs no conversion.
+ *
+ * @param {string} text - The text the offsets refer to
+ * @returns {(byteOffset: number) => number} Converter returning the string index
+ */
+export function createByteOffsetConverter(text) {
+  if (!/[\u0080-\uFFFF]/.test(text)) {
+    return byteOffset => byteOffset;
+  }
+
+  // Byte offset of each string index, plus the end of the text
+  const byteOffsets = new Uint32Array(text.length + 1);
+  let bytes = 0;
+  for (let i = 0; i < text.length; i++) {
+    byteOffsets[i] = bytes;
+    const code = text.charCodeAt(i);
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (code >= 0xD800 && code <= 0xDBFF && (text.charCodeAt(i + 1) & 0xFC00) === 0xDC00) {
+      // Surrogate pair: 4 bytes, split over both halves
+      bytes += 2;
+      byteOffsets[++i] = bytes;
+      bytes += 2;
+    } else {
+      bytes += 3;
+    }
+  }
+  byteOffsets[text.length] = bytes;
+
+  return byteOffset => {
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (byteOffsets[mid] < byteOffset) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  };
+}
+
+/**
+ * Creates a converter from LSP positions (zero-based line and UTF-16
+ * character) to string indices of the text.
+ *
+ * @param {string} text - The text the positions refer to
+ * @returns {(position: {line: number, character: number}) => number} Converter returning the string index
+ */
+export function createPositionConverter(text) {
+  const lineStarts = [0];
+  const lineBreak = /\r\n|\r|\n/g;
+  let match;
+  while ((match = lineBreak.exec(text))) {
+    lineStarts.push(match.index + match[0].length);
+  }
+
+  return ({ line, character }) => {
+    if (line >= lineStarts.length) {
+      return text.length;
+    }
+    return Math.min(lineStarts[line] + character, text.length);
+  };
+}
+
+/**
+ * Parses JSON with comments (`//` and `/* *\/`) and trailing commas, the
+ * format oxlint accepts for `.oxlintrc.json`.
+ *
+ * @param {string} text - JSONC document
+ * @returns {*} Parsed value
+ * @throws {JsoncSyntaxError} With the line and column of the first error
+ */
+export function parseJsonc(text) {
+  let index = 0;
+
+  const fail = (reason, offset = index) => {
+    const before = text.slice(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    throw new JsoncSyntaxError(reason, {
+      offset,
+      line: before.split('\n').length,
+      column: offset - lineStart + 1,
+    });
+  };
+
+  const found = () => (index >= text.length ? 'end of input' : `'${text[index]}'`);
+
+  const skipTrivia = () => {
+    while (index < text.length) {
+      const char = text[index];
+      if (char === ' ' || char === '\t' || char === '\n' || char === '\r' || char === '\uFEFF') {
+        index++;
+      } else if (text.startsWith('//', index)) {
+        const end = text.indexOf('\n', index);
+        index = end === -1 ? text.length : end;
+      } else if (text.startsWith('/*', index)) {
+        const end = text.indexOf('*/', index + 2);
+        if (end === -1) fail('Unterminated comment');
+        index = end + 2;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const STRING = /"(?:[^"\\]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+  const LITERAL = /true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+  const parseToken = pattern => {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) return undefined;
+    let value;
+    try {
+      // Also rejects control characters in strings
+      value = JSON.parse(match[0]);
+    } catch {
+      return undefined;
+    }
+    index += match[0].length;
+    return value;
+  };
+
+  const parseString = () => {
+    const value = parseToken(STRING);
+    if (value === undefined) fail(text[index] === '"' ? 'Invalid string' : `Unexpected ${found()}`);
+    return value;
+  };
+
+  const parseValue = () => {
+    skipTrivia();
+    if (text[index] === '{') return parseContainer('}', {}, object => {
+      if (text[index] !== '"') fail(`Expected a property name but found ${found()}`);
+      const key = parseString();
+      skipTrivia();
+      if (text[index] !== ':') fail(`Expected ':' but found ${found()}`);
+      index++;
+      // Define the property, `__proto__` included, like JSON.parse does
+      Object.defineProperty(object, key, { value: parseValue(), enumerable: true, writable: true, configurable: true });
+    });
+    if (text[index] === '[') return parseContainer(']', [], array => array.push(parseValue()));
+    if (text[index] === '"') return parseString();
+
+    const value = parseToken(LITERAL);
+    if (value === undefined) fail(`Unexpected ${found()}`);
+    return value;
+  };
+
+  const parseContainer = (close, container, parseEntry) => {
+    index++;
+    while (true) {
+      skipTrivia();
+      if (text[index] === close) {
+        index++;
+        return container;
+      }
+      parseEntry(container);
+      skipTrivia();
+      if (text[index] === ',') {
+        index++;
+      } else if (text[index] !== close) {
+        fail(`Expected ',' or '${close}' but found ${found()}`);
+      }
+    }
+  };
+
+  const value = parseValue();
+  skipTrivia();
+  if (index < text.length) fail(`Unexpected ${found()}`);
+  return value;
+}
+
+/**
+ * Converts a glob pattern to a regular expression matching `/`-separated paths.
+ * `*` and `?` stay within a path segment, `**` spans segments, and `[...]`,
+ * `[!...]` and `{a,b}` are supported.
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Regular expression matching whole paths
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '*') {
+      if (pattern[index + 1] === '*') {
+        index++;
+        if (pattern[index + 1] === '/') {
+          index++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', index + 2) !== -1) {
+      const end = pattern.indexOf(']', index + 2);
+      const negated = pattern[index + 1] === '!' || pattern[index + 1] === '^';
+      const members = pattern.slice(negated ? index + 2 : index + 1, end).replace(/[\\\]]/g, '\\$&');
+      source += `[${negated ? '^/' : ''}${members}]`;
+      index = end;
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else if (char === '\\' && index + 1 < pattern.length) {
+      index++;
+      source += pattern[index].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}${')'.repeat(braceDepth)}$`);
+}
+
+/**
+ * Checks whether a path matches one of the `files` globs of an oxlint override.
+ * Like oxlint, globs without a `/` match the file name at any depth.
+ *
+ * @param {string} relativePath - `/`-separated path relative to the config file
+ * @param {string[]} globs - Globs of the override
+ * @returns {boolean} True if a glob matches
+ */
+export function matchesOverrideFiles(relativePath, globs) {
+  return globs.some(glob => {
+    const pattern = glob.replace(/^\.\//, '');
+    return globToRegExp(pattern.includes('/') ? pattern : `**/${pattern}`).test(relativePath);
+  });
+}
+
+/**
+ * Checks whether a path is ignored by `ignorePatterns`, which follow the
+ * .gitignore format: the last matching pattern wins, `!` re-includes, a
+ * trailing `/` matches directories only, patterns with a `/` other than a
+ * trailing one are anchored to the config file, and a match on a directory
+ * ignores everything inside it.
+ *
+ * @param {string} relativePath - `/`-separated path relative to the config file
+ * @param {string[]} patterns - Ignore patterns
+ * @param {boolean} [isDirectory] - Whether the path itself is a directory
+ * @returns {boolean} True if the path is ignored
+ */
+export function isIgnoredPath(relativePath, patterns, isDirectory = false) {
+  const segments = relativePath.split('/');
+  // Every ancestor directory and then the path itself
+  const candidates = segments.map((_, index) => ({
+    path: segments.slice(0, index + 1).join('/'),
+    isDirectory: isDirectory || index < segments.length - 1,
+  }));
+
+  let ignored = false;
+  for (const rawPattern of patterns) {
+    let pattern = rawPattern.trim();
+    if (!pattern || pattern.startsWith('#')) continue;
+
+    const negated = pattern.startsWith('!');
+    if (negated) pattern = pattern.slice(1);
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    const regExp = globToRegExp(anchored ? pattern : `**/${pattern}`);
+    if (candidates.some(candidate => (candidate.isDirectory || !directoryOnly) && regExp.test(candidate.path))) {
+      ignored = !negated;
+    }
+  }
+  return ignored;
+}
@@ -1,8 +1,654 @@
 import { createRequire } from 'node:module';
+import path from 'node:path';
+import process from 'node:process';
 const require = createRequire(import.meta.url);
 const pkg = require('../package.json');
-import diff from 'fast-diff';
-import { format, lint } from './oxlint.js';
+import {
+  codeToRuleName,
+  generateDifferences,
+  generateEdits,
+  getEditEnd,
+  getEquivalentEdits,
+  LINE_ENDING_RE,
+  mergeAdjacentEdits,
+  mergeEdits,
+  normalizeRuleName,
+  rebaseEdits,
+  showInvisibles,
+} from './helper.js';
+import { lintWithBatch } from './batch.js';
+import { OxlintConfigError } from './errors.js';
+import { explainConfig as explainOxlintConfig, format, lint, loadRuleCatalog } from './oxlint.js';
+import { oxlintRuleSchema, pluginOptionProperties } from './schema.js';
+
+/**
+ * Builds an ESLint fix function from the fix edits of a diagnostic.
+ *
+ * @param {Array<{content: string, span: {start: number, end: number}}>} [fixes] - Fix edits of the diagnostic
+ * @param {number} codeLength - Length of the linted source, used to clamp spans
+ * @returns {Function|null} ESLint fix function, or null if the diagnostic is not fixable
+ */
+function createDiagnosticFix(fixes, codeLength) {
+  if (!fixes || fixes.length === 0) {
+    return null;
+  }
+
+  return fixer =>
+    fixes.map(({ content, span }) =>
+      fixer.replaceTextRange(
+        [Math.min(span.start, codeLength), Math.min(span.end, codeLength)],
+        content,
+      ),
+    );
+}
+
+/**
+ * Reports insert/delete/replace hunks of oxlint's fixed output at their own
+ * location, each carrying only its own fix.
+ *
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context
+ * @param {Array<{operation: string, offset: number, deleteText?: string, insertText?: string}>} differences - Hunks from `mergeAdjacentEdits()`
+ */
+function reportDifferences(context, differences) {
+  const sourceCode = context.sourceCode;
+
+  for (const difference of differences) {
+    const { operation, offset, deleteText = '', insertText = '' } = difference;
+    const range = [offset, offset + deleteText.length];
+    const [start, end] = range.map(index => sourceCode.getLocFromIndex(index));
+
+    context.report({
+      messageId: operation,
+      data: {
+        deleteText: showInvisibles(deleteText),
+        insertText: showInvisibles(insertText),
+      },
+      loc: { start, end },
+      fix: fixer => fixer.replaceTextRange(range, insertText),
+    });
+  }
+}
+
+/**
+ * Rule options consumed by the plugin itself. Everything else in the options
+ * object is oxlint configuration and is passed through to oxlint.
+ */
+const PLUGIN_OPTION_KEYS = Object.keys(pluginOptionProperties);
+
+/**
+ * Default mapping of oxlint severities onto ESLint severities,
+ * used when the `severity` option only overrides some of them.
+ */
+const DEFAULT_SEVERITY_MAP = {
+  error: 'error',
+  warning: 'warn',
+  advice: 'warn',
+};
+
+/**
+ * Splits rule options into plugin options and oxlint configuration.
+ *
+ * @param {object} options - Raw rule options
+ * @returns {{pluginOptions: object, oxlintConfig: object}} Separated options
+ */
+function splitOptions(options) {
+  const pluginOptions = {};
+  const oxlintConfig = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (PLUGIN_OPTION_KEYS.includes(key)) {
+      pluginOptions[key] = value;
+    } else {
+      oxlintConfig[key] = value;
+    }
+  }
+  return { pluginOptions, oxlintConfig };
+}
+
+/**
+ * Maps an oxlint diagnostic severity onto an ESLint severity.
+ *
+ * @param {string} severity - Oxlint severity ("error", "warning" or "advice")
+ * @param {object} severityMap - Mapping of oxlint severities to ESLint severities
+ * @returns {'error'|'warn'|'off'} ESLint severity
+ */
+function mapSeverity(severity, severityMap) {
+  return severityMap[severity] || severityMap.warning;
+}
+
+/**
+ * The oxlint run for the file currently being linted.
+ * ESLint creates every enabled rule of a file before it visits `Program`, so the
+ * `oxlint` rule and the virtual per-rule rules register themselves here first
+ * and the first Program visit lints the file once for all of them.
+ */
+let currentRun = null;
+
+/**
+ * Checks whether a run belongs to the file and text of the given context.
+ *
+ * @param {object} run - Oxlint run
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context
+ * @returns {boolean} True if the run lints this file as it is now
+ */
+function isRunFor(run, context) {
+  return run.filePath === context.filename && run.code === context.sourceCode.getText();
+}
+
+/**
+ * Returns the pending run for the file of the given context, starting a new
+ * one when the file or its text changed or the previous run was already linted.
+ *
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context
+ * @returns {object} The pending run
+ */
+function prepareRun(context) {
+  if (!currentRun || currentRun.diagnostics || !isRunFor(currentRun, context)) {
+    currentRun = {
+      filePath: context.filename,
+      physicalFilename: context.physicalFilename || context.filename,
+      cwd: context.cwd,
+      code: context.sourceCode.getText(),
+      pluginOptions: {},
+      oxlintConfig: {},
+      severityMap: null,
+      warnRuleEnabled: false,
+      virtualRules: new Map(),
+      enforcedRules: {},
+      fixedCode: {},
+      fixes: new Map(),
+      unmatchedFixes: [],
+      suggestions: new Map(),
+      diagnostics: null,
+      error: null,
+      errorReported: false,
+    };
+  }
+  return currentRun;
+}
+
+/**
+ * Registers the options of the `oxlint` rule on the run of its file.
+ *
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context of the `oxlint` rule
+ * @param {object} options - Raw rule options
+ */
+function startRun(context, options) {
+  const run = prepareRun(context);
+  const { pluginOptions, oxlintConfig } = splitOptions(options);
+  run.pluginOptions = pluginOptions;
+  run.oxlintConfig = oxlintConfig;
+  run.severityMap = pluginOptions.severity
+    ? { ...DEFAULT_SEVERITY_MAP, ...pluginOptions.severity }
+    : null;
+}
+
+/**
+ * Registers an enabled virtual rule, and its options, on the run of its file.
+ *
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context of the virtual rule
+ * @param {string} ruleName - Normalized oxlint rule name
+ */
+function registerVirtualRule(context, ruleName) {
+  prepareRun(context).virtualRules.set(ruleName, context.options);
+}
+
+/**
+ * Builds the rule settings enforced by the virtual rules enabled in ESLint:
+ * they are turned on in oxlint, whatever the config files say.
+ *
+ * @param {Iterable<[string, Array<*>]>} virtualRules - Rule options by normalized oxlint rule name
+ * @returns {object} Rule settings
+ */
+function getEnforcedRules(virtualRules) {
+  return Object.fromEntries(
+    [...virtualRules].map(([name, options]) => [
+      name,
+      options.length > 0 ? ['warn', ...options] : 'warn',
+    ]),
+  );
+}
+
+/**
+ * Builds the options of the `./oxlint.js` calls of a run.
+ *
+ * @param {object} run - Oxlint run
+ * @returns {object} Lint options
+ */
+function getLintOptions(run) {
+  const { typeAware, backend, cache, cacheLocation, mergeNestedConfigs, configPrecedence, binary, timeout } = run.pluginOptions;
+  return {
+    enforcedRules: run.enforcedRules,
+    physicalFilename: run.physicalFilename,
+    typeAware: Boolean(typeAware),
+    mergeNestedConfigs: Boolean(mergeNestedConfigs),
+    configPrecedence,
+    backend,
+    // Relative paths are resolved from the ESLint working directory
+    binary,
+    timeout,
+    root: run.cwd,
+    cache: Boolean(cache),
+    // Relative locations are resolved from the ESLint working directory
+    cacheLocation: cacheLocation && path.resolve(run.cwd, cacheLocation),
+  };
+}
+
+/**
+ * Returns the oxlint run for the file of the given context, linting on first access.
+ *
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context
+ * @returns {object|null} The run, or null if no run was started for this file
+ */
+function getRun(context) {
+  const run = currentRun;
+  if (!run || !isRunFor(run, context)) {
+    return null;
+  }
+
+  if (!run.diagnostics) {
+    run.enforcedRules = getEnforcedRules(run.virtualRules);
+    try {
+      const lintFile = run.pluginOptions.batch ? lintWithBatch : lint;
+      const result = lintFile(run.code, run.filePath, run.oxlintConfig, getLintOptions(run));
+      run.diagnostics = result?.diagnostics || [];
+    } catch (error) {
+      run.error = error;
+      run.diagnostics = [];
+    }
+
+    if (run.diagnostics.length > 0) {
+      try {
+        collectFixes(run);
+      } catch (error) {
+        // The diagnostics are still reported, only without fixes
+        handleRunError(context, run, error, 'Oxlint fixes failed');
+      }
+    }
+
+    if (run.pluginOptions.suggestions && run.diagnostics.length > 0) {
+      try {
+        collectSuggestions(run);
+      } catch (error) {
+        // The diagnostics are still reported, only without suggestions
+        handleRunError(context, run, error, 'Oxlint suggestions failed');
+      }
+    }
+  }
+  return run;
+}
+
+/**
+ * Returns the output of an oxlint fix pass over the code of a run, running each pass once.
+ *
+ * @param {object} run - Oxlint run
+ * @param {string} mode - Fix pass, one of the `FIX_MODES` of `./oxlint.js`
+ * @returns {string} Code after the fix pass
+ */
+function getFixedCode(run, mode) {
+  if (!(mode in run.fixedCode)) {
+    run.fixedCode[mode] = format(run.code, run.filePath, run.oxlintConfig, {
+      ...getLintOptions(run),
+      mode,
+    });
+  }
+  return run.fixedCode[mode];
+}
+
+/**
+ * Catalog fix types (`fix` of `oxlint --rules`) of the rules producing each kind of edit.
+ */
+const EDIT_KINDS = {
+  fix: /^(?:fixable|conditional)_(?:safe_)?fix/,
+  suggestion: /suggestion/,
+  dangerous: /dangerous/,
+};
+
+/**
+ * Checks whether the rule catalog allows the rule of a diagnostic to produce
+ * edits of the given kind. Rules missing from the catalog are assumed to.
+ *
+ * @param {object} diagnostic - Oxlint diagnostic
+ * @param {keyof EDIT_KINDS} kind - Kind of edit
+ * @returns {boolean} True if the rule may produce such edits
+ */
+function mayHaveEdits(diagnostic, kind) {
+  const entry = getRuleCatalogByName().get(codeToRuleName(diagnostic.code));
+  return !entry || EDIT_KINDS[kind].test(entry.fix);
+}
+
+/**
+ * Assigns the edits of an oxlint fix pass to the diagnostics they belong to,
+ * among the diagnostics whose rule can produce that kind of edit. An edit
+ * belongs to a diagnostic when it falls inside a label of that diagnostic and
+ * of no other, if need be after moving it to an equivalent place, see
+ * `getEquivalentEdits()`. Any other edit may be part of the fix of the nearest
+ * diagnostic on its line, which therefore gets no fix rather than part of one;
+ * its edits stay unmatched with the others.
+ *
+ * @param {string} code - Source code
+ * @param {Array<{offset: number, deleteText: string, insertText: string}>} edits - Edits from `generateEdits()`
+ * @param {object[]} diagnostics - Oxlint diagnostics
+ * @param {keyof EDIT_KINDS} kind - Kind of edit
+ * @returns {{matched: Map<object, object>, unmatched: object[]}} Edit of each diagnostic, and hunks of the unmatched edits, see `mergeEdits()`
+ */
+function matchEdits(code, edits, diagnostics, kind) {
+  const labels = diagnostics
+    .filter(diagnostic => mayHaveEdits(diagnostic, kind))
+    .flatMap(diagnostic => (diagnostic.labels || [])
+      .filter(({ span }) => span)
+      .map(({ span }) => ({ diagnostic, start: span.offset, end: span.offset + span.length })));
+  const ownersOf = edit => new Set(labels
+    .filter(({ start, end }) => start <= edit.offset && getEditEnd(edit) <= end)
+    .map(({ diagnostic }) => diagnostic));
+
+  // Edits move onto a single label, and stay there
+  const settle = initial => {
+    const placed = [...initial];
+    for (let moved = true; moved;) {
+      moved = false;
+      placed.forEach((edit, index) => {
+        if (ownersOf(edit).size === 1) return;
+        const variant = getEquivalentEdits(code, placed, index).find(other => ownersOf(other).size === 1);
+        if (variant) {
+          placed[index] = variant;
+          moved = true;
+        }
+      });
+    }
+    return placed;
+  };
+  const findAmbiguous = placed => {
+    const ambiguous = new Set();
+    for (const edit of placed) {
+      const owners = ownersOf(edit);
+      if (owners.size > 1) {
+        owners.forEach(diagnostic => ambiguous.add(diagnostic));
+      } else if (owners.size === 0) {
+        findNearestDiagnostics(code, labels, edit).forEach(diagnostic => ambiguous.add(diagnostic));
+      }
+    }
+    return ambiguous;
+  };
+
+  let placed = settle(edits);
+  let ambiguous = findAmbiguous(placed);
+  // Moving an edit of an ambiguous diagnostic aside can let the others settle
+  for (let improved = true; improved && ambiguous.size > 0;) {
+    improved = false;
+    for (let index = 0; index < placed.length && !improved; index++) {
+      const owners = ownersOf(placed[index]);
+      if (owners.size === 1 && !ambiguous.has([...owners][0])) continue;
+      for (const variant of getEquivalentEdits(code, placed, index)) {
+        const trial = settle(placed.with(index, variant));
+        const trialAmbiguous = findAmbiguous(trial);
+        if (trialAmbiguous.size < ambiguous.size) {
+          placed = trial;
+          ambiguous = trialAmbiguous;
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+
+  const owners = placed.map(ownersOf);
+  const editsByDiagnostic = new Map();
+  const unmatched = [];
+  placed.forEach((edit, index) => {
+    const [owner] = owners[index];
+    if (owners[index].size !== 1 || ambiguous.has(owner)) {
+      unmatched.push(edit);
+      return;
+    }
+    const ownEdits = editsByDiagnostic.get(owner) || [];
+    ownEdits.push(edit);
+    editsByDiagnostic.set(owner, ownEdits);
+  });
+
+  return {
+    matched: new Map([...editsByDiagnostic].map(([diagnostic, ownEdits]) => [diagnostic, mergeEdits(code, ownEdits)])),
+    unmatched: mergeAdjacentEdits(code, unmatched),
+  };
+}
+
+/**
+ * Finds the diagnostics with the label nearest to an edit on the same line.
+ *
+ * @param {string} code - Source code
+ * @param {Array<{diagnostic: object, start: number, end: number}>} labels - Label ranges of the diagnostics
+ * @param {{offset: number, deleteText: string}} edit - Edit
+ * @returns {object[]} Diagnostics at the smallest distance, none without a label on the line
+ */
+function findNearestDiagnostics(code, labels, edit) {
+  let nearest = [];
+  let nearestDistance = Infinity;
+  for (const { diagnostic, start, end } of labels) {
+    let gap = '';
+    if (end < edit.offset) {
+      gap = code.slice(end, edit.offset);
+    } else if (start > getEditEnd(edit)) {
+      gap = code.slice(getEditEnd(edit), start);
+    }
+    if (LINE_ENDING_RE.test(gap) || gap.length > nearestDistance) continue;
+
+    if (gap.length < nearestDistance) {
+      nearest = [];
+      nearestDistance = gap.length;
+    }
+    nearest.push(diagnostic);
+  }
+  return nearest;
+}
+
+/**
+ * Attaches the safe fixes of `oxlint --fix` to the diagnostics of a run. The
+ * JSON output has no fix data, so every edit of the fixed code goes to the
+ * diagnostic it belongs to, see `matchEdits()`; edits no diagnostic claims
+ * are kept apart and reported on their own by the `oxlint` rule.
+ *
+ * The fix pass, a second oxlint run, only runs when the rule catalog says a
+ * reported rule can produce safe fixes. The language server attaches fixes
+ * to its diagnostics itself.
+ *
+ * @param {object} run - Oxlint run
+ */
+function collectFixes(run) {
+  const { code, diagnostics } = run;
+  if (diagnostics.some(diagnostic => Array.isArray(diagnostic.fixes))) {
+    return;
+  }
+  if (!diagnostics.some(diagnostic => mayHaveEdits(diagnostic, 'fix'))) {
+    return;
+  }
+
+  const { matched, unmatched } = matchEdits(code, generateEdits(code, getFixedCode(run, 'fix')), diagnostics, 'fix');
+  for (const [diagnostic, { offset, deleteText, insertText }] of matched) {
+    run.fixes.set(diagnostic, [{ content: insertText, span: { start: offset, end: offset + deleteText.length } }]);
+  }
+  run.unmatchedFixes.push(...unmatched);
+}
+
+/**
+ * Runs the oxlint suggestion passes for a run and attaches the edit of every
+ * diagnostic, as an ESLint suggestion, see `matchEdits()`. Dangerous fixes and
+ * suggestions are only collected when the `suggestions` option is "dangerous".
+ * A dangerous pass also applies the edits of the pass it extends, safe fixes
+ * or suggestions, so it is compared with the output of that pass rather than
+ * with the code. Edits are never applied by `eslint --fix`.
+ *
+ * @param {object} run - Oxlint run
+ */
+function collectSuggestions(run) {
+  const { code, diagnostics } = run;
+  const editsOf = (mode, baseMode) => {
+    const base = baseMode ? getFixedCode(run, baseMode) : code;
+    return rebaseEdits(generateEdits(base, getFixedCode(run, mode)), code, base);
+  };
+  const attach = (edits, dangerous) => {
+    const { matched } = matchEdits(code, edits, diagnostics, dangerous ? 'dangerous' : 'suggestion');
+    for (const [diagnostic, edit] of matched) {
+      const { offset, deleteText, insertText } = edit;
+      const description = messages[edit.operation].replace(
+        /\{\{ (\w+) \}\}/g,
+        (_, key) => showInvisibles(key === 'insertText' ? insertText : deleteText),
+      );
+      const suggestions = run.suggestions.get(diagnostic) || [];
+      suggestions.push({
+        desc: dangerous ? `${description} (dangerous)` : description,
+        fix: fixer => fixer.replaceTextRange([offset, offset + deleteText.length], insertText),
+      });
+      run.suggestions.set(diagnostic, suggestions);
+    }
+  };
+
+  const canSuggest = diagnostics.some(diagnostic => mayHaveEdits(diagnostic, 'suggestion'));
+  const canBeDangerous = run.pluginOptions.suggestions === 'dangerous' &&
+    diagnostics.some(diagnostic => mayHaveEdits(diagnostic, 'dangerous'));
+
+  if (canSuggest) {
+    attach(editsOf('suggestions'), false);
+  }
+  if (canBeDangerous) {
+    const canFix = diagnostics.some(diagnostic => mayHaveEdits(diagnostic, 'fix'));
+    attach(editsOf('dangerousFixes', canFix ? 'fix' : null), true);
+    if (canSuggest) {
+      attach(editsOf('dangerousSuggestions', 'suggestions'), true);
+    }
+  }
+}
+
+/**
+ * Handles a failure of oxlint according to the `onError` option of the run:
+ * `report` (the default) reports it as a problem at the top of the linted
+ * file, `warn` logs it, and `throw` rethrows it so ESLint aborts.
+ *
+ * @param {object} context - ESLint rule context
+ * @param {object} run - Oxlint run
+ * @param {Error} error - The failure
+ * @param {string} [failure] - What failed, put in front of the error message
+ */
+function handleRunError(context, run, error, failure = 'Oxlint failed, the file was not linted') {
+  const { onError = 'report' } = run.pluginOptions;
+  if (onError === 'throw') {
+    throw error;
+  }
+  if (onError === 'warn') {
+    console.warn(`[eslint-plugin-oxlint-x] ${failure}:`, error);
+    return;
+  }
+
+  // An invalid config file already says where the problem is
+  const message = error instanceof OxlintConfigError
+    ? error.message
+    : `${failure}: ${error.message}`;
+  context.report({ loc: { line: 1, column: 0 }, message });
+}
+
+/**
+ * Handles the error of a failed run once, whichever rule sees it first.
+ *
+ * @param {object} context - ESLint rule context
+ * @param {object} run - Oxlint run
+ * @returns {boolean} True if the run failed
+ */
+function reportRunError(context, run) {
+  if (!run.error) return false;
+  if (!run.errorReported) {
+    run.errorReported = true;
+    handleRunError(context, run, run.error);
+  }
+  return true;
+}
+
+/**
+ * Checks whether a diagnostic belongs to an enabled virtual rule rather than
+ * to the `oxlint` and `oxlint-warn` rules.
+ *
+ * @param {object} run - Oxlint run
+ * @param {object} diagnostic - Oxlint diagnostic
+ * @returns {boolean} True if a virtual rule reports the diagnostic
+ */
+function isVirtualRuleDiagnostic(run, diagnostic) {
+  return run.virtualRules.has(codeToRuleName(diagnostic.code));
+}
+
+/**
+ * Builds the ESLint message of an oxlint diagnostic: the oxlint message with
+ * the text of its primary label and its code, followed by the help text, the
+ * secondary labels with their positions and the rule documentation.
+ *
+ * @param {import('eslint').SourceCode} sourceCode - Source code of the linted file
+ * @param {object} diagnostic - Oxlint diagnostic
+ * @returns {string} ESLint message
+ */
+function formatDiagnosticMessage(sourceCode, diagnostic) {
+  const codeLength = sourceCode.getText().length;
+  const primaryLabel = diagnostic.labels?.[0]?.label;
+  let message = primaryLabel
+    ? `${diagnostic.message}: ${primaryLabel} (${diagnostic.code})`
+    : `${diagnostic.message} (${diagnostic.code})`;
+
+  if (diagnostic.help) {
+    message += ` Help: ${diagnostic.help}`;
+  }
+
+  const related = (diagnostic.labels || [])
+    .slice(1)
+    .filter(label => label?.span)
+    .map(({ label, span }) => {
+      const { line, column } = sourceCode.getLocFromIndex(Math.min(span.offset, codeLength));
+      return label ? `${line}:${column + 1} ${label}` : `${line}:${column + 1}`;
+    });
+  if (related.length > 0) {
+    message += ` Related: ${related.join('; ')}`;
+  }
+
+  if (diagnostic.url) {
+    message += ` Docs: ${diagnostic.url}`;
+  }
+
+  return message;
+}
+
+/**
+ * Reports a single oxlint diagnostic at the location of its primary label.
+ * Diagnostics without a located label are reported at file level.
+ *
+ * @param {import('eslint').Rule.RuleContext} context - ESLint rule context
+ * @param {object} run - Oxlint run the diagnostic belongs to
+ * @param {object} diagnostic - Oxlint diagnostic
+ */
+function reportDiagnostic(context, run, diagnostic) {
+  const sourceCode = context.sourceCode;
+  const code = sourceCode.getText();
+  const span = diagnostic.labels?.[0]?.span;
+
+  // Ensure we don't crash if span is out of bounds (though unlikely with exact code match)
+  try {
+    const loc = span
+      ? {
+          start: sourceCode.getLocFromIndex(Math.min(span.offset, code.length)),
+          // defensive math
+          end: sourceCode.getLocFromIndex(Math.min(span.offset + span.length, code.length)),
+        }
+      : { line: 1, column: 0 };
+
+    context.report({
+      loc,
+      message: formatDiagnosticMessage(sourceCode, diagnostic),
+      fix: createDiagnosticFix(run.fixes.get(diagnostic) || diagnostic.fixes, code.length),
+      suggest: run.suggestions.get(diagnostic),
+    });
+  } catch (error) {
+    handleRunError(context, run, error, `Oxlint reported an invalid location for ${diagnostic.code}`);
+  }
+}
+
+const messages = {
+  [generateDifferences.INSERT]: 'Insert `{{ insertText }}`',
+  [generateDifferences.DELETE]: 'Delete `{{ deleteText }}`',
+  [generateDifferences.REPLACE]: 'Replace `{{ deleteText }}` with `{{ insertText }}`',
+};
 
 const oxlint = {
   meta: {
@@ -13,12 +659,9 @@ const oxlint = {
       recommended: true,
     },
     fixable: 'code',
-    schema: [
-      {
-        type: 'object',
-        additionalProperties: true,
-      },
-    ],
+    hasSuggestions: true,
+    messages,
+    schema: oxlintRuleSchema,
   },
   /**
    * Creates the ESLint rule implementation.
@@ -27,7 +670,6 @@ const oxlint = {
    * @returns {object} Rule visitor object with Program handler
    */
   create(context) {
-    const sourceCode = context.sourceCode;
     const filePath = context.filename;
     const options = context.options[0] || {};
 
@@ -35,83 +677,196 @@ const oxlint = {
       return {};
     }
 
+    startRun(context, options);
+
     return {
       /**
-       * Program visitor that runs Oxlint on the entire file.
-       * Processes both linting diagnostics and formatting fixes.
+       * Program visitor that runs Oxlint on the entire file and reports its
+       * diagnostics, with their fixes.
        */
       Program() {
-        const code = sourceCode.getText();
+        const run = getRun(context);
+        if (!run || reportRunError(context, run)) return;
+
         try {
-          // 1. Linting
-          const result = lint(code, filePath, options);
-
-          if (result && result.diagnostics) {
-            for (const diagnostic of result.diagnostics) {
-              const label = diagnostic.labels?.[0];
-              if (!label || !label.span) continue;
-
-              const span = label.span;
-              // Ensure we don't crash if span is out of bounds (though unlikely with exact code match)
-              try {
-                const loc = {
-                  start: sourceCode.getLocFromIndex(span.offset),
-                  // defensive math
-                  end: sourceCode.getLocFromIndex(Math.min(span.offset + span.length, code.length)),
-                };
-
-                context.report({
-                  loc,
-                  message: `${diagnostic.message} (${diagnostic.code})`,
-                });
-              } catch (error) {
-                // Fallback or ignore invalid spans
-                console.warn(
-                  `[eslint-plugin-oxlint-x] Invalid span for ${diagnostic.code}:`,
-                  error.message,
-                );
-              }
+          const { diagnostics, severityMap } = run;
+          for (const diagnostic of diagnostics) {
+            if (isVirtualRuleDiagnostic(run, diagnostic)) {
+              continue;
             }
-          }
-
-          // 2. Formatting / Fixing
-          const formattedCode = format(code, filePath, options);
-
-          if (formattedCode !== code) {
-            const diffs = diff(code, formattedCode);
-            const hasChanges = diffs.some(([mode]) => mode !== 0);
-
-            if (hasChanges) {
-              context.report({
-                loc: { line: 1, column: 0 },
-                message: 'Oxlint found fixable issues.',
-                fix(fixer) {
-                  const results = [];
-                  let cursor = 0;
-
-                  for (const [mode, text] of diffs) {
-                    if (mode === 0) {
-                      cursor += text.length;
-                    } else if (mode === -1) {
-                      results.push(fixer.removeRange([cursor, cursor + text.length]));
-                      cursor += text.length;
-                    } else if (mode === 1) {
-                      results.push(fixer.insertTextAfterRange([cursor, cursor], text));
-                    }
-                  }
-                  return results;
-                },
-              });
+            // With a severity map, diagnostics mapped to "warn" belong to `oxlint-warn`
+            // when it is enabled, and those mapped to "off" are dropped
+            const severity = severityMap && mapSeverity(diagnostic.severity, severityMap);
+            if (severity === 'off' || (severity === 'warn' && run.warnRuleEnabled)) {
+              continue;
             }
+            reportDiagnostic(context, run, diagnostic);
           }
+
+          // Fixes outside the labels of every diagnostic
+          reportDifferences(context, run.unmatchedFixes);
         } catch (error) {
-          console.warn('[eslint-plugin-oxlint-x] Error running oxlint:', error);
+          handleRunError(context, run, error);
         }
       },
     };
   },
 };
 
+/**
+ * Companion rule reporting the oxlint diagnostics that the `severity` option
+ * of the `oxlint` rule maps to "warn". It does not run oxlint itself but reads
+ * the run of the `oxlint` rule for the same file, so configure it at "warn"
+ * next to an `oxlint` rule configured at "error". While it is not enabled,
+ * the `oxlint` rule reports those diagnostics itself.
+ */
+const oxlintWarn = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'Report Oxlint diagnostics mapped to warnings by the `severity` option',
+      category: 'Oxlint',
+      recommended: false,
+    },
+    fixable: 'code',
+    hasSuggestions: true,
+    schema: [],
+  },
+  /**
+   * Creates the ESLint rule implementation.
+   *
+   * @param {import('eslint').Rule.RuleContext} context - ESLint rule context
+   * @returns {object} Rule visitor object with Program handler
+   */
+  create(context) {
+    prepareRun(context).warnRuleEnabled = true;
+
+    return {
+      Program() {
+        const run = getRun(context);
+        if (!run || reportRunError(context, run) || !run.severityMap) return;
+
+        for (const diagnostic of run.diagnostics) {
+          if (isVirtualRuleDiagnostic(run, diagnostic)) {
+            continue;
+          }
+          if (mapSeverity(diagnostic.severity, run.severityMap) === 'warn') {
+            reportDiagnostic(context, run, diagnostic);
+          }
+        }
+      },
+    };
+  },
+};
+
+/**
+ * Creates a virtual ESLint rule for one rule of the oxlint rule catalog.
+ * Enabling it in ESLint turns the oxlint rule on, with the rule options
+ * passed through, and reports its diagnostics under its own rule id.
+ *
+ * @param {object} entry - Rule catalog entry from `oxlint --rules`
+ * @returns {import('eslint').Rule.RuleModule} Virtual rule
+ */
+function createVirtualRule(entry) {
+  const ruleName = normalizeRuleName(`${entry.scope}/${entry.value}`);
+
+  return {
+    meta: {
+      type: ['correctness', 'suspicious'].includes(entry.category) ? 'problem' : 'suggestion',
+      docs: {
+        description: `Oxlint rule ${ruleName}`,
+        category: 'Oxlint',
+        recommended: Boolean(entry.default),
+        url: entry.docs_url,
+      },
+      // Safe fixes come from the `--fix` pass, see `collectFixes()`
+      fixable: EDIT_KINDS.fix.test(entry.fix) ? 'code' : undefined,
+      hasSuggestions: /suggestion|dangerous/.test(entry.fix),
+      // Options are validated by oxlint
+      schema: false,
+    },
+    create(context) {
+      if (!context.filename) {
+        return {};
+      }
+
+      registerVirtualRule(context, ruleName);
+
+      return {
+        Program() {
+          const run = getRun(context);
+          if (!run || reportRunError(context, run)) return;
+
+          for (const diagnostic of run.diagnostics) {
+            if (codeToRuleName(diagnostic.code) === ruleName) {
+              reportDiagnostic(context, run, diagnostic);
+            }
+          }
+        },
+      };
+    },
+  };
+}
+
+// Rule catalog entries and virtual rules by normalized rule name, loaded on first use
+let ruleCatalogByName = null;
+let virtualRules = null;
+
+/**
+ * Returns the entries of the installed oxlint's rule catalog by normalized
+ * rule name. The catalog is read on first use rather than when the plugin is
+ * imported, so loading an ESLint config does not start oxlint.
+ *
+ * @returns {Map<string, object>} Rule catalog entries
+ */
+function getRuleCatalogByName() {
+  ruleCatalogByName ||= new Map(
+    loadRuleCatalog().map(entry => [normalizeRuleName(`${entry.scope}/${entry.value}`), entry]),
+  );
+  return ruleCatalogByName;
+}
+
+/**
+ * Returns the virtual rules for every rule of the installed oxlint,
+ * keyed by their normalized name (e.g. `eslint/no-debugger`).
+ *
+ * @returns {Record<string, import('eslint').Rule.RuleModule>} Virtual rules
+ */
+function getVirtualRules() {
+  virtualRules ||= Object.fromEntries(
+    [...getRuleCatalogByName()].map(([ruleName, entry]) => [ruleName, createVirtualRule(entry)]),
+  );
+  return virtualRules;
+}
+
+/**
+ * Creates the `rules` object of the plugin: the given rules, and the virtual
+ * rules, which are only created when one of them is looked up or the rules
+ * are listed.
+ *
+ * @param {Record<string, import('eslint').Rule.RuleModule>} rules - Rules of the plugin itself
+ * @returns {Record<string, import('eslint').Rule.RuleModule>} Rules
+ */
+function createRules(rules) {
+  const isOwnRule = name => typeof name !== 'string' || Object.hasOwn(rules, name);
+
+  return new Proxy(rules, {
+    get(target, name) {
+      const virtual = isOwnRule(name) ? null : getVirtualRules();
+      return virtual && Object.hasOwn(virtual, name) ? virtual[name] : target[name];
+    },
+    has: (target, name) => isOwnRule(name) ? name in target : Object.hasOwn(getVirtualRules(), name),
+    ownKeys: target => [...Reflect.ownKeys(target), ...Object.keys(getVirtualRules())],
+    getOwnPropertyDescriptor(target, name) {
+      if (isOwnRule(name)) {
+        return Reflect.getOwnPropertyDescriptor(target, name);
+      }
+      const rule = getVirtualRules()[name];
+      return rule && { value: rule, writable: false, enumerable: true, configurable: true };
+    },
+  });
+}
+
 /**
  * ESLint plugin for integrating Oxlint linter.
  * Provides rules and configurations for using Oxlint within ESLint.
@@ -123,9 +878,10 @@ const plugin = {
     name: pkg.name,
     version: pkg.version,
   },
-  rules: {
+  rules: createRules({
     oxlint,
-  },
+    'oxlint-warn': oxlintWarn,
+  }),
   configs: {
     'recommended': {
       plugins: ['oxlint'],
@@ -135,4 +891,27 @@ const plugin = {
     },
   },
 };
+
+/**
+ * Explains the oxlint configuration the `oxlint-x/oxlint` rule uses for a
+ * file: the effective configuration, the config files it comes from and the
+ * source of each rule, see `explainConfig()` of `./oxlint.js`.
+ *
+ * @param {string} filePath - Path of the file, relative paths resolve from `cwd`
+ * @param {object} [ruleOptions] - Options of the `oxlint-x/oxlint` rule
+ * @param {object} [options] - Explain options
+ * @param {string} [options.cwd] - ESLint working directory
+ * @param {object} [options.virtualRules] - Options of the enabled per-rule virtual rules, by oxlint rule name (e.g. `eslint/no-debugger`)
+ * @returns {{config: object, ignored: boolean, configFiles: string[], rules: Object<string, {value: *, source: object}>}} Explanation
+ */
+export function explainConfig(filePath, ruleOptions = {}, { cwd = process.cwd(), virtualRules = {} } = {}) {
+  const { pluginOptions, oxlintConfig } = splitOptions(ruleOptions);
+  return explainOxlintConfig(path.resolve(cwd, filePath), oxlintConfig, {
+    enforcedRules: getEnforcedRules(Object.entries(virtualRules)),
+    root: cwd,
+    mergeNestedConfigs: Boolean(pluginOptions.mergeNestedConfigs),
+    configPrecedence: pluginOptions.configPrecedence,
+  });
+}
+
 export default plugin;
@@ -0,0 +1,363 @@
+import { spawn } from 'node:child_process';
+import process from 'node:process';
+
+/**
+ * Language identifiers of the document extensions oxlint can lint.
+ */
+const LANGUAGE_IDS = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'javascriptreact',
+  ts: 'typescript',
+  mts: 'typescript',
+  cts: 'typescript',
+  tsx: 'typescriptreact',
+  vue: 'vue',
+  svelte: 'svelte',
+  astro: 'astro',
+};
+
+/**
+ * Returns the LSP language identifier of a file extension.
+ *
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Language identifier
+ */
+export function getLanguageId(extension) {
+  return LANGUAGE_IDS[extension] || 'javascript';
+}
+
+/**
+ * Encodes a JSON-RPC message with its LSP header.
+ *
+ * @param {object} message - JSON-RPC message
+ * @returns {string} Framed message
+ */
+export function encodeMessage(message) {
+  const content = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(content, 'utf8')}\r\n\r\n${content}`;
+}
+
+/**
+ * Creates a decoder splitting the LSP byte stream into JSON-RPC messages.
+ *
+ * @param {Function} onMessage - Receives every decoded message
+ * @returns {Function} Function to feed stream chunks to
+ */
+export function createMessageDecoder(onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  return chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (true) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+
+      const match = /Content-Length: *(\d+)/i.exec(buffer.subarray(0, headerEnd).toString('ascii'));
+      if (!match) {
+        // Drop the malformed header
+        buffer = buffer.subarray(headerEnd + 4);
+        continue;
+      }
+
+      const start = headerEnd + 4;
+      const end = start + Number(match[1]);
+      if (buffer.length < end) return;
+
+      const content = buffer.subarray(start, end).toString('utf8');
+      buffer = buffer.subarray(end);
+      onMessage(JSON.parse(content));
+    }
+  };
+}
+
+/**
+ * Starts a language server and returns a client keeping its documents in sync.
+ *
+ * Every document is opened once and then updated with the full text, and its
+ * last result is kept, so linting unchanged text does not reach the server.
+ *
+ * @param {object} options - Client options
+ * @param {string} options.command - Server executable
+ * @param {string[]} [options.args] - Server arguments
+ * @param {string} options.rootUri - URI of the workspace folder
+ * @param {object} [options.settings] - Workspace options of the oxc language server
+ * @param {number} [options.timeout] - Milliseconds to wait for a response or for diagnostics, 0 for no limit
+ * @returns {object} Client with `lintDocument()`, `shutdown()` and `isAlive()`
+ */
+export function createLanguageServerClient({ command, args = [], rootUri, settings = {}, timeout = 10000 }) {
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+  const pendingRequests = new Map();
+  const diagnosticWaiters = new Map();
+  const documents = new Map();
+  let nextId = 0;
+  let exitError = null;
+  let stderr = '';
+
+  const failAll = error => {
+    exitError = error;
+    for (const { reject } of pendingRequests.values()) reject(error);
+    for (const { reject } of diagnosticWaiters.values()) reject(error);
+    pendingRequests.clear();
+    diagnosticWaiters.clear();
+  };
+
+  child.on('error', failAll);
+  child.on('exit', code => {
+    failAll(new Error(`Language server exited with code ${code}${stderr ? `\nStderr: ${stderr}` : ''}`));
+  });
+  child.stdin.on('error', () => { });
+  child.stderr.on('data', chunk => {
+    // Keep the end of the output for error messages
+    stderr = (stderr + chunk.toString()).slice(-2000);
+  });
+
+  const send = message => {
+    child.stdin.write(encodeMessage({ jsonrpc: '2.0', ...message }));
+  };
+
+  /**
+   * Rejects a promise when it does not settle in time.
+   * @param {Promise} promise - Promise to wait for
+   * @param {string} description - Description for the timeout error
+   * @param {Function} onTimeout - Cleanup when the time is up
+   * @returns {Promise} The promise, bounded by the timeout
+   */
+  const withTimeout = (promise, description, onTimeout) => {
+    if (!(timeout > 0)) return promise;
+    let timer;
+    const expired = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        onTimeout();
+        reject(new Error(`Language server did not respond to ${description} within ${timeout}ms`));
+      }, timeout);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+  };
+
+  const request = (method, params) => {
+    if (exitError) return Promise.reject(exitError);
+    const id = ++nextId;
+    const response = new Promise((resolve, reject) => {
+      pendingRequests.set(id, { resolve, reject });
+    });
+    send({ id, method, params });
+    return withTimeout(response, method, () => pendingRequests.delete(id));
+  };
+
+  const notify = (method, params) => {
+    if (exitError) throw exitError;
+    send({ method, params });
+  };
+
+  const handleMessage = message => {
+    if (message.method === undefined) {
+      // Response to one of our requests
+      const pending = pendingRequests.get(message.id);
+      if (!pending) return;
+      pendingRequests.delete(message.id);
+      if (message.error) {
+        pending.reject(new Error(`Language server error: ${message.error.message}`));
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.method === 'textDocument/publishDiagnostics') {
+      const { uri, version, diagnostics } = message.params;
+      const waiter = diagnosticWaiters.get(uri);
+      if (waiter && (version === undefined || version === waiter.version)) {
+        diagnosticWaiters.delete(uri);
+        waiter.resolve(diagnostics);
+      }
+      return;
+    }
+
+    if (message.id !== undefined) {
+      // Request from the server: answer configuration requests with our settings, ignore the rest
+      const result = message.method === 'workspace/configuration'
+        ? (message.params?.items || []).map(() => settings)
+        : null;
+      send({ id: message.id, result });
+    }
+  };
+
+  child.stdout.on('data', createMessageDecoder(message => {
+    try {
+      handleMessage(message);
+    } catch { }
+  }));
+
+  const initialized = request('initialize', {
+    processId: process.pid,
+    rootUri,
+    capabilities: {},
+    workspaceFolders: [{ uri: rootUri, name: 'root' }],
+    initializationOptions: [{ workspaceUri: rootUri, options: settings }],
+  }).then(() => notify('initialized', {}));
+  // Failures surface through lintDocument()
+  initialized.catch(() => { });
+
+  const waitForDiagnostics = (uri, version) => {
+    const diagnostics = new Promise((resolve, reject) => {
+      diagnosticWaiters.set(uri, { version, resolve, reject });
+    });
+    return withTimeout(diagnostics, `diagnostics of ${uri}`, () => diagnosticWaiters.delete(uri));
+  };
+
+  const requestCodeActions = async (uri, diagnostic) => {
+    const actions = await request('textDocument/codeAction', {
+      textDocument: { uri },
+      range: diagnostic.range,
+      context: { diagnostics: [diagnostic], only: ['quickfix'] },
+    });
+    return actions || [];
+  };
+
+  return {
+    /**
+     * Lints a document, opening it on first use and updating it afterwards.
+     *
+     * @param {string} uri - Document URI
+     * @param {string} languageId - LSP language identifier
+     * @param {string} text - Document text
+     * @returns {Promise<Array<{diagnostic: object, codeActions: object[]}>>} Diagnostics with their quick fixes
+     */
+    async lintDocument(uri, languageId, text) {
+      await initialized;
+
+      const document = documents.get(uri);
+      if (document?.text === text && document.result) {
+        return document.result;
+      }
+
+      const version = (document?.version || 0) + 1;
+      documents.set(uri, { version, text, result: null });
+      const diagnosticsReceived = waitForDiagnostics(uri, version);
+
+      if (document) {
+        notify('textDocument/didChange', {
+          textDocument: { uri, version },
+          contentChanges: [{ text }],
+        });
+      } else {
+        notify('textDocument/didOpen', {
+          textDocument: { uri, languageId, version, text },
+        });
+      }
+
+      const diagnostics = await diagnosticsReceived;
+      const result = [];
+      for (const diagnostic of diagnostics) {
+        result.push({ diagnostic, codeActions: await requestCodeActions(uri, diagnostic) });
+      }
+
+      documents.get(uri).result = result;
+      return result;
+    },
+
+    /**
+     * Asks the server to shut down and exit.
+     * @returns {Promise<void>}
+     */
+    async shutdown() {
+      try {
+        await request('shutdown', null);
+        notify('exit', null);
+      } catch {
+        child.kill();
+      }
+    },
+
+    /**
+     * Checks whether the server process is still running.
+     * @returns {boolean} True while the server can be used
+     */
+    isAlive() {
+      return !exitError;
+    },
+
+    /**
+     * Stops the server process immediately.
+     */
+    kill() {
+      if (!exitError) failAll(new Error('Language server was stopped'));
+      child.kill();
+    },
+  };
+}
+
+/**
+ * Creates a pool of running language servers, one per command, workspace and
+ * settings. Servers that exited are replaced, and once more than `maxServers`
+ * are running the least recently used one is stopped, so a process linting
+ * with many distinct configurations does not keep a server for each.
+ *
+ * @param {object} [options] - Pool options
+ * @param {number} [options.maxServers] - Maximum number of running servers
+ * @returns {object} Pool with `getClient()`, `release()`, `size()` and `killAll()`
+ */
+export function createLanguageServerPool({ maxServers = 4 } = {}) {
+  const clients = new Map();
+
+  return {
+    /**
+     * Returns the running client for the given options, starting one if needed.
+     *
+     * @param {object} options - Client options, see `createLanguageServerClient()`
+     * @returns {object} Client
+     */
+    getClient(options) {
+      const { command, args, rootUri, settings, timeout } = options;
+      const key = JSON.stringify([command, args, rootUri, settings, timeout]);
+      let client = clients.get(key);
+      if (client?.isAlive()) {
+        // Most recently used last
+        clients.delete(key);
+      } else {
+        client?.kill();
+        client = createLanguageServerClient(options);
+      }
+      clients.set(key, client);
+
+      for (const [oldestKey, oldest] of clients) {
+        if (clients.size <= maxServers) break;
+        oldest.kill();
+        clients.delete(oldestKey);
+      }
+      return client;
+    },
+
+    /**
+     * Stops a client and removes it from the pool, e.g. after it failed.
+     *
+     * @param {object} client - Client from `getClient()`
+     */
+    release(client) {
+      client.kill();
+      for (const [key, pooled] of clients) {
+        if (pooled === client) clients.delete(key);
+      }
+    },
+
+    /**
+     * Returns the number of servers in the pool.
+     * @returns {number} Number of servers
+     */
+    size() {
+      return clients.size;
+    },
+
+    /**
+     * Stops every server of the pool.
+     */
+    killAll() {
+      for (const client of clients.values()) {
+        client.kill();
+      }
+      clients.clear();
+    },
+  };
+}
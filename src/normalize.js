@@ -0,0 +1,118 @@
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const pkg = require('../package.json');
+
+/**
+ * Severities of the internal diagnostic shape, by their spellings in the output.
+ */
+const SEVERITIES = {
+  error: 'error',
+  warning: 'warning',
+  warn: 'warning',
+  advice: 'advice',
+};
+
+/**
+ * Extracts the version from the output of `oxlint --version`, e.g.
+ * `Version: 1.43.0` or `oxlint v0.16.0`.
+ *
+ * @param {string} output - Output of `oxlint --version`
+ * @returns {string|null} Version as `major.minor.patch`, or null if there is none
+ */
+export function parseOxlintVersion(output) {
+  const match = /(\d+)\.(\d+)\.(\d+)/.exec(String(output));
+  return match ? match.slice(1, 4).join('.') : null;
+}
+
+/**
+ * Compares two `major.minor.patch` versions.
+ *
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if `a` is older, positive if it is newer, 0 if they are equal
+ */
+export function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (partsA[i] !== partsB[i]) {
+      return partsA[i] - partsB[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Oldest oxlint version the plugin supports, the lower bound of its peer dependency.
+ */
+export const MIN_OXLINT_VERSION = parseOxlintVersion(pkg.peerDependencies.oxlint);
+
+/**
+ * Normalizes a label span to `{offset, length}`. Spans are given by offset and
+ * length, with a line and column in newer releases, or by start and end.
+ *
+ * @param {object} span - Span from the oxlint JSON output
+ * @returns {{offset: number, length: number}|null} Span, or null if it has no valid offsets
+ */
+function normalizeSpan(span) {
+  if (Number.isInteger(span?.offset)) {
+    return { offset: span.offset, length: Number.isInteger(span.length) ? span.length : 0 };
+  }
+  if (Number.isInteger(span?.start)) {
+    return { offset: span.start, length: Number.isInteger(span.end) ? span.end - span.start : 0 };
+  }
+  return null;
+}
+
+/**
+ * Brings an oxlint diagnostic into the internal shape the rules consume:
+ *
+ * - `message`, `code` and `severity` (`error`, `warning` or `advice`)
+ * - `help`, `url` and `filename` when present
+ * - `labels`: `{label?, span: {offset, length}}`, the primary label first
+ *
+ * The JSON output carries no fix data; fixes come from a separate `--fix`
+ * pass, see `collectFixes()` of `./index.js`.
+ *
+ * Spans keep the UTF-8 byte offsets of the JSON output, see
+ * `convertSpanOffsets()` of `./oxlint.js`.
+ *
+ * @param {object} diagnostic - Diagnostic from the oxlint JSON output
+ * @returns {object} Diagnostic in the internal shape
+ */
+export function normalizeDiagnostic(diagnostic) {
+  const normalized = {
+    message: String(diagnostic.message ?? ''),
+    code: diagnostic.code ?? '',
+    severity: SEVERITIES[String(diagnostic.severity).toLowerCase()] || 'warning',
+  };
+  for (const key of ['help', 'url', 'filename']) {
+    if (typeof diagnostic[key] === 'string') {
+      normalized[key] = diagnostic[key];
+    }
+  }
+
+  normalized.labels = (diagnostic.labels || []).flatMap(label => {
+    const span = normalizeSpan(label?.span);
+    if (!span) return [];
+    return [typeof label.label === 'string' ? { label: label.label, span } : { span }];
+  });
+  return normalized;
+}
+
+/**
+ * Normalizes the parsed JSON output of oxlint, either the report object or,
+ * as some releases print it, the bare list of diagnostics.
+ *
+ * @param {object|object[]} output - Parsed oxlint JSON output
+ * @returns {{diagnostics: object[]}} Diagnostics in the internal shape, see `normalizeDiagnostic()`
+ */
+export function normalizeLintOutput(output) {
+  const diagnostics = Array.isArray(output) ? output : output?.diagnostics;
+  return {
+    diagnostics: (Array.isArray(diagnostics) ? diagnostics : [])
+      .filter(diagnostic => diagnostic && typeof diagnostic === 'object')
+      .map(normalizeDiagnostic),
+  };
+}
@@ -0,0 +1,39 @@
+import process from 'node:process';
+import { createLanguageServerPool } from './lsp-client.js';
+import { runAsSyncWorker } from './sync-worker.js';
+
+// Running language servers by command, workspace and settings
+const pool = createLanguageServerPool();
+
+process.on('exit', () => {
+  pool.killAll();
+});
+
+/**
+ * Worker function linting a document with a long-lived oxc language server.
+ * This worker is invoked synchronously via `createSyncWorker()` of
+ * `./sync-worker.js` and keeps its servers running between calls, starting a new one if a server exited and
+ * stopping the least recently used one beyond a few servers.
+ *
+ * @param {Object} params - Execution parameters
+ * @param {string} params.command - Language server executable
+ * @param {string[]} params.args - Language server arguments
+ * @param {string} params.rootUri - URI of the workspace folder
+ * @param {Object} params.settings - Workspace options of the language server
+ * @param {number} params.timeout - Milliseconds to wait for each answer of the server, 0 for no limit
+ * @param {string} params.uri - Document URI
+ * @param {string} params.languageId - LSP language identifier
+ * @param {string} params.text - Document text
+ * @returns {Promise<Object>} Diagnostics with their quick fixes, or an error
+ */
+runAsSyncWorker(async ({ command, args, rootUri, settings, timeout, uri, languageId, text }) => {
+  const client = pool.getClient({ command, args, rootUri, settings, timeout });
+
+  try {
+    return { results: await client.lintDocument(uri, languageId, text), error: null };
+  } catch (error) {
+    // Start over with a fresh server on the next call
+    pool.release(client);
+    return { results: null, error: { message: error.message } };
+  }
+});
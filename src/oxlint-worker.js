@@ -1,30 +1,66 @@
-import { runAsWorker } from 'synckit';
-import { spawnSync } from 'node:child_process';
+import { spawn } from 'node:child_process';
+import { runAsSyncWorker } from './sync-worker.js';
 
 /**
- * Worker function that executes Oxlint binary synchronously.
- * This worker is invoked via synckit's worker_threads mechanism.
- * 
+ * Worker function that executes the Oxlint binary.
+ * This worker is invoked synchronously via `createSyncWorker()` of
+ * `./sync-worker.js`, and reports the process so a dropped worker takes it
+ * down too.
+ *
  * @param {Object} params - Execution parameters
  * @param {string} params.binary - Path to the oxlint binary
  * @param {string[]} params.args - Command line arguments for oxlint
  * @param {string} params.cwd - Working directory for execution
+ * @param {number} [params.timeout] - Milliseconds after which the process is killed, 0 for no limit
+ * @param {number} [params.maxBuffer] - Maximum size of stdout and stderr in bytes, the process is killed beyond it
+ * @param {object} context - Worker context, see `runAsSyncWorker()`
  * @returns {Promise<Object>} Execution result with stdout, stderr, status, and error
  */
-runAsWorker(async ({ binary, args, cwd }) => {
-  const result = spawnSync(binary, args, {
-    cwd,
-    encoding: 'utf8',
-    maxBuffer: 10 * 1024 * 1024, // 10MB buffer
-  });
+runAsSyncWorker(({ binary, args, cwd, timeout = 0, maxBuffer = 10 * 1024 * 1024 }, context) => new Promise(resolve => {
+  const stdout = [];
+  const stderr = [];
+  let size = 0;
+  let error = null;
+  let timer = null;
+
+  const child = spawn(binary, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+  context.trackProcess(child);
 
-  return {
-    stdout: result.stdout || '',
-    stderr: result.stderr || '',
-    status: result.status,
-    error: result.error ? {
-      message: result.error.message,
-      code: result.error.code,
-    } : null,
+  // A hung oxlint may not react to SIGTERM
+  const kill = (code, message) => {
+    error ||= { code, message };
+    child.kill('SIGKILL');
   };
-});
+
+  const collect = chunks => chunk => {
+    size += chunk.length;
+    if (size > maxBuffer) {
+      kill('ENOBUFS', `${binary} output exceeded ${maxBuffer} bytes`);
+      return;
+    }
+    chunks.push(chunk);
+  };
+  child.stdout.on('data', collect(stdout));
+  child.stderr.on('data', collect(stderr));
+
+  if (timeout > 0) {
+    timer = setTimeout(() => kill('ETIMEDOUT', `${binary} timed out after ${timeout} ms`), timeout);
+  }
+
+  const finish = status => {
+    clearTimeout(timer);
+    resolve({
+      stdout: Buffer.concat(stdout).toString('utf8'),
+      stderr: Buffer.concat(stderr).toString('utf8'),
+      status,
+      error,
+    });
+  };
+
+  child.on('error', spawnError => {
+    error ||= { code: spawnError.code, message: spawnError.message };
+    // A process that never started does not close
+    if (child.pid === undefined) finish(null);
+  });
+  child.on('close', finish);
+}));
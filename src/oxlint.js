@@ -1,39 +1,177 @@
-import { createSyncFn } from 'synckit';
 import path, { dirname, join, } from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 import fs from 'node:fs';
+import { createRequire } from 'node:module';
 import { randomBytes } from 'node:crypto';
 import process from 'node:process';
+import {
+  createByteOffsetConverter,
+  createPositionConverter,
+  isIgnoredPath,
+  matchesOverrideFiles,
+  normalizeRuleName,
+  parseJsonc,
+} from './helper.js';
+import { JsoncSyntaxError, OxlintConfigError } from './errors.js';
+import { createCacheKey, DEFAULT_CACHE_LOCATION, getCachedResult, setCachedResult } from './cache.js';
+import { getLanguageId } from './lsp-client.js';
+import { compareVersions, MIN_OXLINT_VERSION, normalizeLintOutput, parseOxlintVersion } from './normalize.js';
+import { createSyncWorker, WORKER_GRACE_PERIOD } from './sync-worker.js';
 
 
-const userDefinedOxlintPath = join(process.cwd(), 'node_modules', '.bin', 'oxlint');
 // use project temp path
 const TEMP_DIR_NAME = '.oxlint-temp';
 const TEMP_DIR_PATH = join(process.cwd(), 'node_modules', TEMP_DIR_NAME);
 
 
-export function resolveOxlintBinary() {
-  if (fs.existsSync(userDefinedOxlintPath)) {
-    return userDefinedOxlintPath;
+// Resolved oxlint binaries by package root, and by directory of linted files
+const binaryByPackageRoot = new Map();
+const binaryByDir = new Map();
+
+/**
+ * Finds the oxlint binary installed for a directory: the `bin` of the `oxlint`
+ * package, or `node_modules/.bin/oxlint`, in every `node_modules` directory
+ * Node resolution looks in, which covers packages hoisted to a workspace root.
+ *
+ * @param {string} dir - Directory to resolve from
+ * @returns {string|null} Path of the binary, or null if oxlint is not installed
+ */
+function findOxlintBinary(dir) {
+  const lookupPaths = createRequire(join(dir, 'noop.js')).resolve.paths('oxlint') || [];
+  for (const nodeModulesDir of lookupPaths) {
+    try {
+      const { bin } = JSON.parse(fs.readFileSync(join(nodeModulesDir, 'oxlint', 'package.json'), 'utf-8'));
+      const binPath = typeof bin === 'string' ? bin : bin?.oxlint;
+      if (binPath && fs.existsSync(join(nodeModulesDir, 'oxlint', binPath))) {
+        return join(nodeModulesDir, 'oxlint', binPath);
+      }
+    } catch {
+      // Not installed here, go up
+    }
+
+    const linkPath = join(nodeModulesDir, '.bin', 'oxlint');
+    if (fs.existsSync(linkPath)) {
+      return linkPath;
+    }
   }
+  return null;
+}
+
+/**
+ * Resolves the oxlint binary to run for files in a directory. The `binary`
+ * option wins, then the `OXLINT_X_BINARY` environment variable, then the
+ * oxlint installed for the directory, and last the oxlint installed next to
+ * this plugin. Installed binaries are cached per directory, so files of a
+ * known directory skip the package lookup, and per package root.
+ *
+ * @param {string} [startDir] - Directory of the linted file
+ * @param {object} [options] - Lint options
+ * @param {string} [options.binary] - Path of the oxlint binary, relative paths resolve from `root`
+ * @param {string} [options.root] - Base directory of a relative `binary`
+ * @returns {string} Path of the binary
+ * @throws {Error} If no oxlint binary can be found
+ */
+export function resolveOxlintBinary(startDir = process.cwd(), { binary, root = process.cwd() } = {}) {
+  if (binary) {
+    return path.resolve(root, binary);
+  }
+  if (process.env.OXLINT_X_BINARY) {
+    return path.resolve(process.env.OXLINT_X_BINARY);
+  }
+
+  let resolved = binaryByDir.get(startDir);
+  if (resolved) {
+    return resolved;
+  }
+
+  const packageJsonPath = findUp(join(startDir, 'package.json'), 'package.json');
+  const packageRoot = packageJsonPath ? dirname(packageJsonPath) : startDir;
+  resolved = binaryByPackageRoot.get(packageRoot)
+    || findOxlintBinary(packageRoot)
+    || findOxlintBinary(dirname(fileURLToPath(import.meta.url)));
+  if (!resolved) {
+    throw new Error(`Cannot find the oxlint binary for ${startDir}. Install oxlint, or set the \`binary\` option or the OXLINT_X_BINARY environment variable.`);
+  }
+  // Failures are not cached, so installing oxlint later is noticed
+  binaryByPackageRoot.set(packageRoot, resolved);
+  binaryByDir.set(startDir, resolved);
+  return resolved;
+}
+
+/**
+ * Resolves the oxlint binary for a lint call, see `resolveOxlintBinary()`.
+ *
+ * @param {string} filePath - Original file path, possibly a virtual name from a processor
+ * @param {object} options - Lint options, see `lint()`
+ * @returns {string} Path of the binary
+ */
+function getOxlintBinary(filePath, options) {
+  const { physicalFilename = filePath } = options;
+  const binary = resolveOxlintBinary(dirname(path.resolve(physicalFilename)), options);
+  getOxlintVersion(binary);
+  return binary;
+}
+
+// Detected versions by oxlint binary
+const oxlintVersions = new Map();
+
+/**
+ * Detects the version of an oxlint binary with `oxlint --version`, once per
+ * binary, and warns when it is older than the supported range.
+ *
+ * @param {string} binary - Path of the binary
+ * @returns {string|null} Version, or null if it cannot be detected
+ */
+export function getOxlintVersion(binary) {
+  if (!oxlintVersions.has(binary)) {
+    let version = null;
+    try {
+      version = parseOxlintVersion(executeOxlint(['--version'], { binary }));
+    } catch { }
+    oxlintVersions.set(binary, version);
 
+    if (version && compareVersions(version, MIN_OXLINT_VERSION) < 0) {
+      console.warn(`[eslint-plugin-oxlint-x] oxlint ${version} (${binary}) is older than the supported ${MIN_OXLINT_VERSION}, results may be incomplete. Please upgrade oxlint.`);
+    }
+  }
+  return oxlintVersions.get(binary);
 }
 
-// Cache the oxlint binary path resolution
-const oxlintPath = resolveOxlintBinary();
+/**
+ * Milliseconds an oxlint process may run before it is killed, by default.
+ */
+export const DEFAULT_OXLINT_TIMEOUT = 60000;
 
-const executeOxlintWorker = createSyncFn(
-  new URL(`./oxlint-worker.js`, import.meta.url).href
-);
+/**
+ * Maximum size of the output of an oxlint process in bytes.
+ */
+const MAX_OUTPUT_SIZE = 10 * 1024 * 1024;
 
-// Track temporary files for cleanup
+// Workers running oxlint processes and language servers, started on first use
+let oxlintWorker = null;
+let languageServerWorker = null;
+
+/**
+ * Runs oxlint in its worker. The worker kills the process after `timeout`;
+ * a worker that does not answer by then plus its grace period, or stops
+ * responding at all, is terminated with its process, see `createSyncWorker()`.
+ *
+ * @param {object} params - Parameters of `./oxlint-worker.js`
+ * @returns {{stdout: string, stderr: string, status: number|null, error: object|null}} Execution result
+ */
+function executeOxlintWorker(params) {
+  oxlintWorker ||= createSyncWorker(new URL('./oxlint-worker.js', import.meta.url), { name: 'oxlint worker' });
+  return oxlintWorker.call(params, { timeout: params.timeout > 0 ? params.timeout + WORKER_GRACE_PERIOD : 0 });
+}
+
+// Track temporary files and directories for cleanup
 const tempFiles = new Set();
 
 // Register cleanup handler for process exit
 process.on('exit', () => {
   for (const file of tempFiles) {
     try {
-      fs.unlinkSync(file);
+      fs.rmSync(file, { recursive: true, force: true });
     } catch {
       // Ignore cleanup errors
     }
@@ -41,20 +179,20 @@ process.on('exit', () => {
 });
 
 /**
- * Finds the nearest .oxlintrc.json configuration file by traversing upward.
- * Performs fresh traversal on each call (no caching).
- * 
+ * Finds the nearest file with the given name by traversing upward.
+ *
  * @param {string} startPath - Starting file path
- * @returns {string|null} Path to the configuration file or null if not found
+ * @param {string} fileName - Name of the file to look for
+ * @returns {string|null} Path to the file or null if not found
  */
-export function resolveOxlintConfigFile(startPath) {
+function findUp(startPath, fileName) {
   let currentDir = dirname(startPath);
 
   while (true) {
-    const configPath = join(currentDir, '.oxlintrc.json');
+    const filePath = join(currentDir, fileName);
     try {
-      fs.accessSync(configPath);
-      return configPath;
+      fs.accessSync(filePath);
+      return filePath;
     } catch {
       // Not found, go up
     }
@@ -68,6 +206,76 @@ export function resolveOxlintConfigFile(startPath) {
   }
 }
 
+// .oxlintrc.json of each directory, revalidated by the mtime of the directory
+const configFileByDir = new Map();
+
+// Flattened configuration files, revalidated by the mtimes of their extends chain
+const loadedConfigs = new Map();
+
+/**
+ * Returns a stamp that changes whenever a file or directory is modified.
+ *
+ * @param {string} filePath - Path of the file or directory
+ * @returns {string|null} Modification stamp, or null if it does not exist
+ */
+export function getModificationStamp(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return `${stat.mtimeMs}:${stat.size}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the .oxlintrc.json of a directory. Lookups are cached until the
+ * directory changes, which includes a config file being created or removed.
+ *
+ * @param {string} dir - Directory path
+ * @returns {string|null} Path to the configuration file or null if there is none
+ */
+function findConfigFileInDir(dir) {
+  const stamp = getModificationStamp(dir);
+  const cached = configFileByDir.get(dir);
+  if (cached && cached.stamp === stamp) {
+    return cached.filePath;
+  }
+
+  const filePath = join(dir, '.oxlintrc.json');
+  const result = stamp !== null && fs.existsSync(filePath) ? filePath : null;
+  configFileByDir.set(dir, { stamp, filePath: result });
+  return result;
+}
+
+/**
+ * Finds the nearest .oxlintrc.json configuration file by traversing upward.
+ * The lookup of each directory is cached, see `findConfigFileInDir()`.
+ *
+ * @param {string} startPath - Starting file path
+ * @returns {string|null} Path to the configuration file or null if not found
+ */
+export function resolveOxlintConfigFile(startPath) {
+  let currentDir = dirname(startPath);
+  while (true) {
+    const filePath = findConfigFileInDir(currentDir);
+    if (filePath) return filePath;
+
+    const parentDir = dirname(currentDir);
+    if (parentDir === currentDir) return null;
+    currentDir = parentDir;
+  }
+}
+
+/**
+ * Finds the nearest tsconfig.json of a file by traversing upward.
+ *
+ * @param {string} startPath - Starting file path
+ * @returns {string|null} Path to the tsconfig.json or null if not found
+ */
+export function resolveTsconfigFile(startPath) {
+  return findUp(startPath, 'tsconfig.json');
+}
+
 /**
  * Ensures the temporary directory exists.
  */
@@ -78,47 +286,121 @@ function ensureTempDir() {
 }
 
 /**
- * Tracks a temporary file for cleanup.
- * @param {string} filePath - Path to the temporary file
+ * Tracks a temporary file or directory for cleanup.
+ * @param {string} filePath - Path to the temporary file or directory
  */
 function trackTempFile(filePath) {
   tempFiles.add(filePath);
 }
 
 /**
- * Cleans up a temporary file and removes it from tracking.
- * @param {string} filePath - Path to the temporary file
+ * Cleans up a temporary file or directory and removes it from tracking.
+ * @param {string} filePath - Path to the temporary file or directory
  */
 function cleanupTempFile(filePath) {
   tempFiles.delete(filePath);
   try {
-    fs.unlinkSync(filePath);
+    fs.rmSync(filePath, { recursive: true, force: true });
   } catch {
     // Ignore cleanup errors
   }
 }
 
 /**
- * Writes content to a random temporary file.
+ * Returns the extension that selects the language oxlint parses a file as.
+ * Processors such as @eslint/markdown hand rules virtual names like
+ * `README.md/0.js`, whose own extension names the language of the code block.
+ *
+ * @param {string} filePath - File name as seen by ESLint, possibly virtual
+ * @returns {string} Extension without the leading dot
+ */
+export function getLanguageExtension(filePath) {
+  return (filePath && path.extname(filePath).slice(1)) || 'js';
+}
+
+/**
+ * Returns the name a file is linted under: its base name, which oxlint uses
+ * to recognize test files such as `*.test.ts`, with the language extension.
+ *
+ * @param {string} originalFilePath - Original file path, possibly virtual
+ * @returns {{baseName: string, ext: string}} File name without the extension, and the extension
+ */
+function getLintedFileName(originalFilePath) {
+  const baseName = path.basename(originalFilePath).replace(/\.[^.]*$/, '').replace(/[^\w.-]/g, '_');
+  return { baseName, ext: getLanguageExtension(originalFilePath) };
+}
+
+/**
+ * Writes content to a random temporary file in the shared temp directory.
  * @param {string} content - File content
- * @param {string} originalFilePath - Original file path (for extension)
+ * @param {string} originalFilePath - Original file path, for the name and extension
  * @returns {string} Path to the created temp file
  */
 function createTempFile(content, originalFilePath) {
-  const ext = originalFilePath ? originalFilePath.split('.').pop() : 'js';
-  const tempFileName = `${TEMP_DIR_NAME}-lint-${randomBytes(16).toString('hex')}.${ext}`;
+  const { baseName, ext } = getLintedFileName(originalFilePath);
+  const tempFileName = `${TEMP_DIR_NAME}-lint-${randomBytes(16).toString('hex')}-${baseName}.${ext}`;
   const tempFilePath = join(TEMP_DIR_PATH, tempFileName);
   fs.writeFileSync(tempFilePath, content);
   trackTempFile(tempFilePath);
   return tempFilePath;
 }
 
+/**
+ * Writes a copy of a file for type-aware linting, outside the source tree but
+ * still part of the file's TypeScript project.
+ *
+ * The copy goes to a random directory under `node_modules/.oxlint-temp` of the
+ * project (the directory of the nearest tsconfig.json), at the path of the
+ * file relative to the project, so bare imports still find the packages of
+ * the project. Next to it, a tsconfig.json extends the project's one, adds the
+ * copy to its files and merges the directory with the project through
+ * `rootDirs`, so relative imports resolve to the real neighbours of the file.
+ * Being the nearest tsconfig.json of the copy, it is also found by discovery.
+ *
+ * @param {string} content - File content
+ * @param {string} originalFilePath - Original file path, possibly a virtual name from a processor
+ * @param {string} physicalFilename - File on disk
+ * @returns {{dir: string, filePath: string, tsconfigPath: string}} Temp directory, copy and its tsconfig.json
+ */
+function createTypeAwareCopy(content, originalFilePath, physicalFilename) {
+  const projectTsconfigPath = resolveTsconfigFile(physicalFilename);
+  const projectDir = projectTsconfigPath ? dirname(projectTsconfigPath) : dirname(physicalFilename);
+  const dir = join(projectDir, 'node_modules', TEMP_DIR_NAME, `type-aware-${randomBytes(16).toString('hex')}`);
+  const { baseName, ext } = getLintedFileName(originalFilePath);
+  const filePath = join(dir, path.relative(projectDir, dirname(physicalFilename)), `${baseName}.${ext}`);
+
+  // Own `files` and `rootDirs` replace those of the extended config
+  let projectConfig = {};
+  try {
+    projectConfig = parseJsonc(fs.readFileSync(projectTsconfigPath, 'utf-8')) || {};
+  } catch { }
+  const resolveFromProject = entries => (Array.isArray(entries) ? entries : [])
+    .filter(entry => typeof entry === 'string')
+    .map(entry => path.resolve(projectDir, entry));
+
+  const tsconfigPath = join(dir, 'tsconfig.json');
+  const tsconfig = {
+    ...(projectTsconfigPath ? { extends: projectTsconfigPath } : {}),
+    compilerOptions: {
+      rootDirs: [projectDir, ...resolveFromProject(projectConfig.compilerOptions?.rootDirs), dir],
+    },
+    files: [...resolveFromProject(projectConfig.files), filePath],
+  };
+
+  trackTempFile(dir);
+  fs.mkdirSync(dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  fs.writeFileSync(tsconfigPath, JSON.stringify(tsconfig));
+  return { dir, filePath, tsconfigPath };
+}
+
 /**
  * Writes config content to a random temporary file.
  * @param {object} config - Configuration object
  * @returns {string} Path to the created temp file
  */
 export function createTempConfigFile(config) {
+  ensureTempDir();
   const tempFileName = `${TEMP_DIR_NAME}-config-${randomBytes(16).toString('hex')}.json`;
   const tempFilePath = join(TEMP_DIR_PATH, tempFileName);
   fs.writeFileSync(tempFilePath, JSON.stringify(config));
@@ -164,143 +446,1064 @@ export function mergeConfigs(base, override) {
 }
 
 /**
- * Executes the oxlint command via synckit worker.
+ * Applies rule settings on top of a configuration, replacing every alias of the
+ * same rule (e.g. `no-debugger` and `eslint/no-debugger`). Oxlint lets the last
+ * spelling win, so enforced rules are appended after the remaining entries.
+ *
+ * @param {object} config - Configuration object
+ * @param {object} rules - Rule settings keyed by rule name
+ * @returns {object} New configuration object with the rules enforced
+ */
+export function enforceRules(config, rules) {
+  if (!rules || Object.keys(rules).length === 0) return config;
+
+  const enforced = [...new Set(Object.keys(rules).map(normalizeRuleName))];
+  // Unscoped names (`no-debugger`) alias the rule of any scope with that name
+  const isAlias = name => {
+    const normalized = normalizeRuleName(name);
+    return normalized.includes('/')
+      ? enforced.includes(normalized)
+      : enforced.some(enforcedName => enforcedName.endsWith(`/${normalized}`));
+  };
+  const remaining = Object.entries(config.rules || {}).filter(([name]) => !isAlias(name));
+
+  return {
+    ...config,
+    rules: { ...Object.fromEntries(remaining), ...rules },
+  };
+}
+
+/**
+ * Executes the oxlint command in the oxlint worker.
  * @param {string[]} args - Command line arguments
  * @param {object} options - Execution options
  * @param {string} options.cwd - Working directory
+ * @param {string} [options.binary] - Oxlint binary, see `resolveOxlintBinary()`
+ * @param {number} [options.timeout] - Milliseconds after which oxlint is killed, 0 for no limit
  * @returns {string} Stdout of the command
  */
 function executeOxlint(args, options = {}) {
   const cwd = options.cwd || process.cwd();
+  const { timeout = DEFAULT_OXLINT_TIMEOUT } = options;
 
   const result = executeOxlintWorker({
-    binary: oxlintPath,
+    binary: options.binary || resolveOxlintBinary(cwd),
     args,
     cwd,
+    timeout,
+    maxBuffer: MAX_OUTPUT_SIZE,
   });
 
   if (result.error) {
-    const error = new Error(result.error.message);
+    let message = result.error.message;
+    if (result.error.code === 'ETIMEDOUT') {
+      message = `Oxlint did not finish within ${timeout} ms and was killed, raise the \`timeout\` option for slow files`;
+    } else if (result.error.code === 'ENOBUFS') {
+      message = `Oxlint output exceeded ${MAX_OUTPUT_SIZE} bytes and was truncated`;
+    }
+    const error = new Error(message);
     error.code = result.error.code;
     throw error;
   }
 
-  if (result.status !== 0 && result.stderr && !result.stdout) {
-    throw new Error(`Oxlint exited with code ${result.status}\nStderr: ${result.stderr}`);
+  // Without output a failed run would look like a file without problems
+  if (result.status !== 0 && !result.stdout?.trim()) {
+    const stderr = result.stderr ? `\nStderr: ${result.stderr}` : '';
+    throw new Error(`Oxlint exited with code ${result.status}${stderr}`);
   }
 
   return result.stdout || '';
 }
 
 /**
- * Lint code using oxlint via temp file and synckit worker.
- * @param {string} code - Source code to lint
- * @param {string} filePath - Original file path
- * @param {object} config - Oxlint configuration
- * @returns {object} Lint results with diagnostics array
+ * Converts the UTF-8 byte offsets of oxlint spans into string indices of the code.
+ *
+ * @param {object} result - Parsed oxlint JSON output
+ * @param {string} code - The linted code
+ * @returns {object} The result, with label spans converted in place
  */
-export function lint(code, filePath, config = {}) {
-  ensureTempDir();
-  const cleanupTasks = [];
+export function convertSpanOffsets(result, code) {
+  const toIndex = createByteOffsetConverter(code);
+  for (const diagnostic of result.diagnostics || []) {
+    for (const label of diagnostic.labels || []) {
+      if (!label?.span) continue;
+      const start = toIndex(label.span.offset);
+      label.span.length = toIndex(label.span.offset + label.span.length) - start;
+      label.span.offset = start;
+    }
+  }
+  return result;
+}
 
+/**
+ * Reads an oxlint configuration file. Like oxlint, comments and trailing
+ * commas are accepted.
+ *
+ * @param {string} filePath - Path of the configuration file
+ * @returns {object} Configuration
+ * @throws {OxlintConfigError} If the file cannot be read or is not a valid configuration
+ */
+export function readConfigFile(filePath) {
+  let text;
   try {
-    let finalConfig = config;
-
-    const realConfigPath = resolveOxlintConfigFile(filePath);
-    if (realConfigPath) {
-      try {
-        const fileContent = fs.readFileSync(realConfigPath, 'utf-8');
-        const fileConfig = JSON.parse(fileContent);
-        finalConfig = mergeConfigs(config, fileConfig);
-      } catch (e) {
-        // Ignore error if config file is invalid, just use inline config
-        console.warn('[eslint-plugin-oxlint-x] Invalid config file:', e.message);
-      }
+    text = fs.readFileSync(filePath, 'utf-8');
+  } catch (e) {
+    throw new OxlintConfigError(e.message, { filePath }, e);
+  }
+
+  let config;
+  try {
+    config = parseJsonc(text);
+  } catch (e) {
+    if (!(e instanceof JsoncSyntaxError)) throw e;
+    throw new OxlintConfigError(e.reason, { filePath, line: e.line, column: e.column }, e);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new OxlintConfigError('Configuration must be an object', { filePath, line: 1, column: 1 });
+  }
+  return config;
+}
+
+/**
+ * Merges an extended configuration with the configuration extending it.
+ * Plugins add up and overrides are kept in order, everything else is merged
+ * like `mergeConfigs()`.
+ *
+ * @param {object} base - Extended configuration
+ * @param {object} config - Extending configuration
+ * @returns {object} Merged configuration
+ */
+function mergeExtendedConfig(base, config) {
+  const result = mergeConfigs(base, config);
+  for (const key of ['plugins', 'jsPlugins']) {
+    if (Array.isArray(base[key]) && Array.isArray(config[key])) {
+      result[key] = [...new Set([...base[key], ...config[key]])];
+    }
+  }
+  if (Array.isArray(base.overrides) && Array.isArray(config.overrides)) {
+    result.overrides = [...base.overrides, ...config.overrides];
+  }
+  return result;
+}
+
+/**
+ * Resolves an `extends` entry: relative and absolute paths from the directory
+ * of the configuration, package specifiers (e.g. `@acme/oxlint-config` or
+ * `@acme/oxlint-config/strict.json`) through Node resolution.
+ *
+ * @param {string} specifier - Entry of `extends`
+ * @param {string} filePath - Path of the configuration containing it
+ * @returns {string} Path of the extended configuration
+ * @throws {OxlintConfigError} If a package specifier cannot be resolved to a JSON file
+ */
+function resolveExtendedConfigFile(specifier, filePath) {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return path.resolve(dirname(filePath), specifier);
+  }
+
+  let resolved;
+  try {
+    resolved = createRequire(filePath).resolve(specifier);
+  } catch (e) {
+    throw new OxlintConfigError(`Cannot find extended config "${specifier}"`, { filePath }, e);
+  }
+  if (!/\.jsonc?$/.test(resolved)) {
+    throw new OxlintConfigError(`Extended config "${specifier}" must resolve to a JSON file, got ${resolved}`, { filePath });
+  }
+  return resolved;
+}
+
+/**
+ * Describes which source set each rule and each override of a configuration.
+ *
+ * @param {object} config - Configuration
+ * @param {object} source - Source of the configuration, e.g. `{type: 'file', filePath}`
+ * @returns {{rules: Object<string, object>, overrides: object[]}} Sources by rule name and by override index
+ */
+function describeSources(config, source) {
+  return {
+    rules: Object.fromEntries(Object.keys(config?.rules || {}).map(name => [name, source])),
+    overrides: Array.isArray(config?.overrides) ? config.overrides.map(() => source) : [],
+  };
+}
+
+/**
+ * Merges an extended configuration with the configuration extending it, see
+ * `mergeExtendedConfig()`, keeping track of the sources.
+ *
+ * @param {{config: object, sources: object}} base - Extended configuration and its sources
+ * @param {{config: object, sources: object}} entry - Extending configuration and its sources
+ * @returns {{config: object, sources: object}} Merged configuration and its sources
+ */
+function mergeExtendedEntry(base, entry) {
+  let overrides = base.sources.overrides;
+  if (Array.isArray(entry.config.overrides)) {
+    overrides = Array.isArray(base.config.overrides)
+      ? [...base.sources.overrides, ...entry.sources.overrides]
+      : entry.sources.overrides;
+  }
+  return {
+    config: mergeExtendedConfig(base.config, entry.config),
+    sources: { rules: { ...base.sources.rules, ...entry.sources.rules }, overrides },
+  };
+}
+
+/**
+ * Reads an oxlint configuration file and flattens its `extends` chain, so the
+ * result no longer depends on the location of the file. Results are cached
+ * until one of the files of the chain is modified.
+ *
+ * @param {string} filePath - Path of the configuration file
+ * @returns {object} Configuration without `extends`
+ * @throws {OxlintConfigError} If a configuration in the chain is invalid or extends itself
+ */
+export function loadConfigFile(filePath) {
+  return loadConfigEntry(filePath).config;
+}
+
+/**
+ * Like `loadConfigFile()`, also returning which file of the chain set each
+ * rule and each override.
+ *
+ * @param {string} filePath - Path of the configuration file
+ * @returns {{config: object, sources: {rules: Object<string, object>, overrides: object[]}}} Configuration and its sources
+ * @throws {OxlintConfigError} If a configuration in the chain is invalid or extends itself
+ */
+function loadConfigEntry(filePath) {
+  const cached = loadedConfigs.get(filePath);
+  if (cached && cached.files.every(file => getModificationStamp(file.filePath) === file.stamp)) {
+    return structuredClone(cached.entry);
+  }
+
+  const files = [];
+  const entry = flattenConfigFile(filePath, [], files);
+  loadedConfigs.set(filePath, { entry, files });
+  return structuredClone(entry);
+}
+
+/**
+ * Reads a configuration file and, recursively, the configs it extends.
+ *
+ * @param {string} filePath - Path of the configuration file
+ * @param {string[]} extendedBy - Configuration files extending this one, outermost first
+ * @param {Array<{filePath: string, stamp: string|null}>} files - Receives the files read, with their modification stamps
+ * @returns {{config: object, sources: object}} Configuration without `extends`, and its sources
+ * @throws {OxlintConfigError} If a configuration in the chain is invalid or extends itself
+ */
+function flattenConfigFile(filePath, extendedBy, files) {
+  files.push({ filePath, stamp: getModificationStamp(filePath) });
+  const { extends: extendsList, ...config } = readConfigFile(filePath);
+  const source = extendedBy.length > 0 ? { type: 'file', filePath, extendedBy } : { type: 'file', filePath };
+  const entry = { config, sources: describeSources(config, source) };
+  if (extendsList === undefined) return entry;
+  if (!Array.isArray(extendsList) || extendsList.some(item => typeof item !== 'string')) {
+    throw new OxlintConfigError('"extends" must be an array of paths', { filePath });
+  }
+
+  const chain = [...extendedBy, filePath];
+  let base = { config: {}, sources: describeSources({}, source) };
+  for (const specifier of extendsList) {
+    const extendedPath = resolveExtendedConfigFile(specifier, filePath);
+    if (chain.includes(extendedPath)) {
+      throw new OxlintConfigError(`Circular extends: ${[...chain, extendedPath].join(' -> ')}`, { filePath });
     }
+    const extended = flattenConfigFile(extendedPath, chain, files);
+    // Only the config file itself can be a root config
+    delete extended.config.root;
+    base = mergeExtendedEntry(base, extended);
+  }
+  return mergeExtendedEntry(base, entry);
+}
+
+/**
+ * Loads the .oxlintrc.json files of a file, nearest first: only the nearest
+ * one, or with `mergeNestedConfigs` every one up to a config with
+ * `root: true` or the repository root (the directory containing `.git`).
+ *
+ * @param {string} physicalFilename - File on disk, used for config discovery
+ * @param {boolean} mergeNestedConfigs - Collect every config instead of the nearest one
+ * @returns {Array<{filePath: string, config: object, sources: object}>} Configuration files, nearest first, without `root`
+ * @throws {OxlintConfigError} If a configuration file is invalid
+ */
+function loadConfigFiles(physicalFilename, mergeNestedConfigs) {
+  const configFiles = [];
+  let currentDir = dirname(physicalFilename);
 
-    const tempFilePath = createTempFile(code, filePath);
-    cleanupTasks.push(() => cleanupTempFile(tempFilePath));
+  while (true) {
+    const filePath = findConfigFileInDir(currentDir);
+    if (filePath) {
+      const { config: { root: isRoot, ...config }, sources } = loadConfigEntry(filePath);
+      configFiles.push({ filePath, config, sources });
+      if (!mergeNestedConfigs || isRoot === true) break;
+    }
 
-    const cwd = dirname(tempFilePath);
-    const args = [
-      '--format=json',
-      '--no-ignore',
-      path.basename(tempFilePath),
-    ];
+    const parentDir = dirname(currentDir);
+    if (parentDir === currentDir || (mergeNestedConfigs && fs.existsSync(join(currentDir, '.git')))) {
+      break;
+    }
+    currentDir = parentDir;
+  }
+  return configFiles;
+}
 
-    if (finalConfig && Object.keys(finalConfig).length > 0) {
-      const mergedConfigPath = createTempConfigFile(finalConfig);
-      cleanupTasks.push(() => cleanupTempFile(mergedConfigPath));
-      // Use the merged config
-      args.push('--config', mergedConfigPath);
-    } else if (realConfigPath) {
-      // Should not strictly happen if we merge with empty inline config, but as fallback
-      args.push('--config', realConfigPath);
+/**
+ * Discovers the configuration of a file: the inline configuration and the
+ * .oxlintrc.json files that apply, with the configs they extend. Each keeps
+ * the directory its path-based settings are relative to.
+ *
+ * @param {object} config - Inline oxlint configuration
+ * @param {string} physicalFilename - File on disk, used for config discovery
+ * @param {object} options - Lint options, see `lint()`
+ * @returns {{layers: Array<{config: object, baseDir: string, sources: object}>, configFiles: string[], realConfigPath: string|null}} Configurations in merge order, the config files nearest first, and the nearest one
+ * @throws {OxlintConfigError} If a discovered configuration file is invalid
+ */
+function discoverConfig(config, physicalFilename, options) {
+  const { root = process.cwd(), mergeNestedConfigs = false, configPrecedence = 'file' } = options;
+  const configFiles = loadConfigFiles(physicalFilename, mergeNestedConfigs);
+
+  const inlineLayer = { config, baseDir: root, sources: describeSources(config, { type: 'inline' }) };
+  // Nearer configs win over farther ones
+  const fileLayers = [...configFiles].reverse().map(({ filePath, config, sources }) => ({
+    config,
+    baseDir: dirname(filePath),
+    sources,
+  }));
+  return {
+    layers: configPrecedence === 'inline' ? [...fileLayers, inlineLayer] : [inlineLayer, ...fileLayers],
+    configFiles: configFiles.map(({ filePath }) => filePath),
+    realConfigPath: configFiles[0]?.filePath || null,
+  };
+}
+
+/**
+ * Applies the path-based settings of the configurations to a file. Oxlint only
+ * ever sees temp files, so `overrides` and `ignorePatterns` are evaluated here
+ * against the original path, relative to the config file they come from, and
+ * left out of the configuration oxlint runs with.
+ *
+ * @param {{layers: Array<{config: object, baseDir: string, sources: object}>}} discovered - Configurations, see `discoverConfig()`
+ * @param {string} filePath - Original file path, possibly a virtual name from a processor
+ * @param {object} enforcedRules - Rule settings that win over every discovered config
+ * @returns {{finalConfig: object, ignored: boolean, ruleSources: Object<string, object>}} Configuration of the file, whether it is ignored, and the source of each rule
+ */
+function applyPathConfig({ layers }, filePath, enforcedRules) {
+  let finalConfig = {};
+  let ignored = false;
+  const ruleSources = {};
+  for (const { config, baseDir, sources } of layers) {
+    const { overrides, ignorePatterns, ...baseConfig } = config || {};
+    const relativePath = path.relative(baseDir, path.resolve(baseDir, filePath)).split(path.sep).join('/');
+    // Files outside the directory of the config file match no pattern
+    const inside = relativePath !== '' && !relativePath.startsWith('../') && !path.isAbsolute(relativePath);
+
+    let layerConfig = baseConfig;
+    Object.assign(ruleSources, sources.rules);
+    if (inside && Array.isArray(ignorePatterns) && isIgnoredPath(relativePath, ignorePatterns)) {
+      ignored = true;
+    }
+    if (inside && Array.isArray(overrides)) {
+      overrides.forEach(({ files, ...settings }, index) => {
+        if (Array.isArray(files) && matchesOverrideFiles(relativePath, files)) {
+          layerConfig = mergeExtendedConfig(layerConfig, settings);
+          const source = { ...sources.overrides[index], override: { files } };
+          Object.assign(ruleSources, describeSources(settings, source).rules);
+        }
+      });
+    }
+    finalConfig = mergeConfigs(finalConfig, layerConfig);
+  }
+
+  finalConfig = enforceRules(finalConfig, enforcedRules);
+  Object.assign(ruleSources, describeSources({ rules: enforcedRules }, { type: 'enforced' }).rules);
+  return { finalConfig, ignored, ruleSources };
+}
+
+/**
+ * Resolves the configuration oxlint runs with for a file: the discovered
+ * configuration with the overrides matching the file, plus the enforced rules.
+ *
+ * @param {object} config - Inline oxlint configuration
+ * @param {string} filePath - Original file path, possibly a virtual name from a processor
+ * @param {object} options - Lint options, see `lint()`
+ * @returns {{finalConfig: object, realConfigPath: string|null, ignored: boolean}} Resolved configuration
+ * @throws {OxlintConfigError} If the discovered configuration file is invalid
+ */
+function resolveFinalConfig(config, filePath, options) {
+  const { enforcedRules = {}, physicalFilename = filePath } = options;
+  const discovered = discoverConfig(config, physicalFilename, options);
+  const { finalConfig, ignored } = applyPathConfig(discovered, filePath, enforcedRules);
+  return { finalConfig, ignored, realConfigPath: discovered.realConfigPath };
+}
+
+/**
+ * Explains the configuration oxlint runs with for a file: the effective
+ * configuration, the config files it comes from, and which source set each
+ * rule. A source is one of:
+ * - `{type: 'inline'}`: the options of the ESLint rule
+ * - `{type: 'file', filePath, extendedBy?}`: a config file, with the files extending it when it was reached through `extends`
+ * - `{type: 'enforced'}`: a per-rule virtual rule enabled in ESLint
+ * Rules set by an override also carry `override: {files}`.
+ *
+ * @param {string} filePath - Path of the file
+ * @param {object} [config] - Inline oxlint configuration
+ * @param {object} [options] - Lint options, see `lint()`
+ * @returns {{config: object, ignored: boolean, configFiles: string[], rules: Object<string, {value: *, source: object}>}} Explanation
+ * @throws {OxlintConfigError} If a discovered configuration file is invalid
+ */
+export function explainConfig(filePath, config = {}, options = {}) {
+  const { enforcedRules = {}, physicalFilename = filePath } = options;
+  const discovered = discoverConfig(config, physicalFilename, options);
+  const { finalConfig, ignored, ruleSources } = applyPathConfig(discovered, filePath, enforcedRules);
+  return {
+    config: finalConfig,
+    ignored,
+    configFiles: discovered.configFiles,
+    rules: Object.fromEntries(
+      Object.entries(finalConfig.rules || {}).map(([name, value]) => [name, { value, source: ruleSources[name] }]),
+    ),
+  };
+}
+
+/**
+ * Checks whether the code is exactly what is on disk for the file.
+ *
+ * @param {string} code - Source code
+ * @param {string} filePath - File path
+ * @returns {boolean} True if the file exists with the same content
+ */
+function matchesFileOnDisk(code, filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8') === code;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Prepares the file, working directory and arguments of an oxlint invocation.
+ *
+ * By default the code is written to a temp file in the shared temp directory.
+ * In type-aware mode the file must be part of its TypeScript project: the real
+ * file is linted when the code matches it on disk (never for fix passes, which
+ * would rewrite it), otherwise a copy outside the source tree that the project
+ * includes, see `createTypeAwareCopy()`.
+ *
+ * @param {string} code - Source code
+ * @param {string} filePath - Original file path, possibly a virtual name from a processor
+ * @param {{finalConfig: object, realConfigPath: string|null}} resolvedConfig - Configuration, see `resolveFinalConfig()`
+ * @param {object} options - Lint options, see `lint()`
+ * @param {Array<Function>} cleanupTasks - Receives the cleanup of created temp files
+ * @param {{writes: boolean}} pass - Whether oxlint writes fixes to the file
+ * @returns {{cwd: string, filePath: string, args: string[]}} Invocation
+ */
+function prepareInvocation(code, filePath, resolvedConfig, options, cleanupTasks, { writes }) {
+  const { physicalFilename = filePath, typeAware = false } = options;
+  const { finalConfig, realConfigPath } = resolvedConfig;
+  const args = [];
+
+  let targetPath;
+  if (typeAware) {
+    let tsconfigPath;
+    if (!writes && filePath === physicalFilename && matchesFileOnDisk(code, physicalFilename)) {
+      targetPath = physicalFilename;
+      tsconfigPath = resolveTsconfigFile(physicalFilename);
+    } else {
+      const copy = createTypeAwareCopy(code, filePath, physicalFilename);
+      cleanupTasks.push(() => cleanupTempFile(copy.dir));
+      targetPath = copy.filePath;
+      tsconfigPath = copy.tsconfigPath;
+    }
+
+    args.push('--type-aware');
+    if (tsconfigPath) {
+      args.push('--tsconfig', tsconfigPath);
     }
+  } else {
+    ensureTempDir();
+    targetPath = createTempFile(code, filePath);
+    cleanupTasks.push(() => cleanupTempFile(targetPath));
+  }
 
-    const stdout = executeOxlint(args, { cwd });
+  if (finalConfig && Object.keys(finalConfig).length > 0) {
+    const mergedConfigPath = createTempConfigFile(finalConfig);
+    cleanupTasks.push(() => cleanupTempFile(mergedConfigPath));
+    // Use the merged config
+    args.push('--config', mergedConfigPath);
+  } else if (realConfigPath) {
+    // Should not strictly happen if we merge with empty inline config, but as fallback
+    args.push('--config', realConfigPath);
+  }
+
+  args.push(path.basename(targetPath));
+  return { cwd: dirname(targetPath), filePath: targetPath, args };
+}
+
+/**
+ * Runs the cleanup tasks of an invocation, ignoring their errors.
+ * @param {Array<Function>} cleanupTasks - Cleanup tasks
+ */
+function runCleanupTasks(cleanupTasks) {
+  for (const task of cleanupTasks) {
     try {
-      return stdout.trim() ? JSON.parse(stdout) : { diagnostics: [] };
-    } catch (error) {
-      throw new Error(`Failed to parse oxlint output: ${error.message}\nOutput: ${stdout}`);
+      task();
+    } catch { }
+  }
+}
+
+// Fingerprints of oxlint binaries, computed on first use
+const oxlintFingerprints = new Map();
+
+/**
+ * Returns a fingerprint of an oxlint binary: its path, reported version and
+ * file stats, so that persisted results are invalidated when it changes.
+ *
+ * @param {string} binary - Path of the binary
+ * @returns {string} Fingerprint
+ */
+function getOxlintFingerprint(binary) {
+  if (!oxlintFingerprints.has(binary)) {
+    const version = getOxlintVersion(binary) || '';
+
+    let stats = '';
+    try {
+      const { size, mtimeMs } = fs.statSync(fs.realpathSync(binary));
+      stats = `${size}:${mtimeMs}`;
+    } catch { }
+
+    oxlintFingerprints.set(binary, `${binary}|${version}|${stats}`);
+  }
+  return oxlintFingerprints.get(binary);
+}
+
+/**
+ * Returns the cached result of an oxlint pass, or computes and caches it.
+ * Results are keyed on the pass, the code, the file and the effective
+ * configuration and kept in memory, and on disk with the `cache` option.
+ * Type-aware results also depend on other files and are never cached.
+ *
+ * @param {object} key - Cache key parts
+ * @param {string[]} key.pass - Kind of pass, e.g. `['lint', 'cli']` or `['format', 'fix']`
+ * @param {string} key.code - Source code
+ * @param {string} key.filePath - File path, the extension selects the language
+ * @param {object} key.finalConfig - Effective configuration, see `resolveFinalConfig()`
+ * @param {object} options - Lint options, see `lint()`
+ * @param {Function} compute - Runs the pass
+ * @returns {*} Result of the pass
+ */
+function withCache({ pass, code, filePath, finalConfig }, options, compute) {
+  const { typeAware = false, cache = false, cacheLocation = DEFAULT_CACHE_LOCATION } = options;
+  if (typeAware) {
+    return compute();
+  }
+
+  const location = cache ? cacheLocation : undefined;
+  const binary = getOxlintBinary(filePath, options);
+  const version = location ? getOxlintFingerprint(binary) : '';
+  // Relative paths keep persisted results valid when the project moves
+  const relativePath = path.relative(process.cwd(), path.resolve(filePath));
+  const key = createCacheKey([pass, relativePath, finalConfig, code, path.relative(process.cwd(), binary)]);
+
+  const cached = getCachedResult(key, { location, version });
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const result = compute();
+  setCachedResult(key, result, { location, version });
+  return result;
+}
+
+/**
+ * Parses the JSON output of oxlint into the internal diagnostic shape, see
+ * `normalizeDiagnostic()` of `./normalize.js`.
+ *
+ * @param {string} stdout - Oxlint output
+ * @param {string} code - The linted code
+ * @returns {object} Lint results with diagnostics array, spans in string indices
+ */
+function parseLintOutput(stdout, code) {
+  try {
+    return stdout.trim() ? convertSpanOffsets(normalizeLintOutput(JSON.parse(stdout)), code) : { diagnostics: [] };
+  } catch (error) {
+    throw new Error(`Failed to parse oxlint output: ${error.message}\nOutput: ${stdout}`);
+  }
+}
+
+/**
+ * Lint code using oxlint via temp file and the oxlint worker.
+ *
+ * @param {string} code - Source code to lint
+ * @param {string} filePath - Original file path, possibly a virtual name from a processor
+ * @param {object} config - Oxlint configuration
+ * @param {object} [options] - Lint options
+ * @param {object} [options.enforcedRules] - Rule settings that win over every discovered config
+ * @param {string} [options.physicalFilename] - File on disk, used for config discovery
+ * @param {boolean} [options.typeAware] - Run type-aware rules against the file's TypeScript project
+ * @param {'cli'|'lsp'} [options.backend] - Run the oxlint CLI per call, or a long-lived language server
+ * @param {string} [options.root] - Workspace folder of the language server, and base directory of inline overrides
+ * @param {boolean} [options.mergeNestedConfigs] - Merge every .oxlintrc.json up to a root config, not only the nearest
+ * @param {'file'|'inline'} [options.configPrecedence] - Whether config files or the inline configuration win
+ * @param {string} [options.binary] - Path of the oxlint binary, see `resolveOxlintBinary()`
+ * @param {number} [options.timeout] - Milliseconds after which an oxlint process is killed, 0 for no limit
+ * @param {boolean} [options.cache] - Also persist results on disk, not only in memory
+ * @param {string} [options.cacheLocation] - Directory of the persisted results
+ * @returns {object} Lint results with diagnostics array
+ */
+export function lint(code, filePath, config = {}, options = {}) {
+  const { backend = 'cli' } = options;
+  const resolvedConfig = resolveFinalConfig(config, filePath, options);
+  if (resolvedConfig.ignored) {
+    return { diagnostics: [] };
+  }
+  const key = {
+    pass: ['lint', backend],
+    code,
+    filePath,
+    finalConfig: resolvedConfig.finalConfig,
+  };
+  return withCache(key, options, () => {
+    const binary = getOxlintBinary(filePath, options);
+    if (backend === 'lsp') {
+      return lintWithLanguageServer(code, filePath, resolvedConfig.finalConfig, { ...options, binary });
     }
-  } finally {
-    for (const task of cleanupTasks) {
-      try {
-        task();
-      } catch { }
+
+    const cleanupTasks = [];
+    try {
+      const invocation = prepareInvocation(code, filePath, resolvedConfig, options, cleanupTasks, { writes: false });
+      return parseLintOutput(
+        executeOxlint(['--format=json', '--no-ignore', ...invocation.args], {
+          cwd: invocation.cwd,
+          binary,
+          timeout: options.timeout,
+        }),
+        code,
+      );
+    } finally {
+      runCleanupTasks(cleanupTasks);
     }
+  });
+}
+
+/**
+ * Oxlint severities by LSP diagnostic severity.
+ */
+const LANGUAGE_SERVER_SEVERITIES = {
+  1: 'error',
+  2: 'warning',
+};
+
+// Merged configurations written for the language server, by content
+const languageServerConfigFiles = new Map();
+
+/**
+ * Returns the path of a config file with the given configuration, writing it
+ * once per distinct configuration for the lifetime of the process.
+ *
+ * @param {object} config - Oxlint configuration
+ * @returns {string} Config file path
+ */
+function getLanguageServerConfigFile(config) {
+  const content = JSON.stringify(config);
+  let configPath = languageServerConfigFiles.get(content);
+  if (!configPath || !fs.existsSync(configPath)) {
+    configPath = createTempConfigFile(config);
+    languageServerConfigFiles.set(content, configPath);
   }
+  return configPath;
 }
 
 /**
- * Format code using oxlint (requires --fix) via synckit worker.
+ * Returns the edits a quick fix makes to a document.
+ *
+ * @param {object} action - LSP code action
+ * @param {string} uri - Document URI
+ * @returns {object[]} LSP text edits
+ */
+function getCodeActionEdits(action, uri) {
+  return action?.edit?.changes?.[uri]
+    || action?.edit?.documentChanges?.find(change => change.textDocument?.uri === uri)?.edits
+    || [];
+}
+
+/**
+ * Checks whether a quick fix inserts a disable comment rather than fixing the
+ * problem. The server offers these for every diagnostic, and marks the one
+ * for the current line as preferred when the rule has no fix of its own.
+ *
+ * @param {object} action - LSP code action
+ * @param {string} uri - Document URI
+ * @returns {boolean} True for a disable comment action
+ */
+function isDisableCommentAction(action, uri) {
+  return /^Disable\b/.test(action.title || '')
+    || getCodeActionEdits(action, uri).some(edit => /\b(?:oxlint|eslint)-disable/.test(edit.newText));
+}
+
+/**
+ * Converts the diagnostics and quick fixes of the language server into the
+ * diagnostics of oxlint's JSON output, with spans in string indices.
+ *
+ * The server folds the help text into the message and reports labels as
+ * related information. Its quick fixes are the safe fix of the rule, if any,
+ * and disable comments, which are never used as fixes.
+ *
+ * @param {Array<{diagnostic: object, codeActions: object[]}>} results - Language server results
+ * @param {string} code - The linted code
+ * @param {string} uri - Document URI
+ * @returns {{diagnostics: object[]}} Lint results
+ */
+export function convertLanguageServerResults(results, code, uri) {
+  const toIndex = createPositionConverter(code);
+  const toSpan = range => {
+    const offset = toIndex(range.start);
+    return { offset, length: toIndex(range.end) - offset };
+  };
+  const isSameRange = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const diagnostics = results.map(({ diagnostic, codeActions }) => {
+    const [message, ...help] = String(diagnostic.message).split('\nhelp: ');
+
+    const related = (diagnostic.relatedInformation || [])
+      .filter(information => information.location?.uri === uri);
+    // The primary label comes first
+    related.sort((a, b) =>
+      Number(isSameRange(b.location.range, diagnostic.range)) - Number(isSameRange(a.location.range, diagnostic.range)));
+    const labels = related.length > 0
+      ? related.map(information => ({
+          ...(information.message ? { label: information.message } : {}),
+          span: toSpan(information.location.range),
+        }))
+      : [{ span: toSpan(diagnostic.range) }];
+
+    const fixActions = (codeActions || []).filter(action => action && !isDisableCommentAction(action, uri));
+    const fixAction = fixActions.find(action => action.isPreferred) || fixActions[0];
+    const fixes = getCodeActionEdits(fixAction, uri).map(edit => ({
+      content: edit.newText,
+      span: { start: toIndex(edit.range.start), end: toIndex(edit.range.end) },
+    }));
+
+    return {
+      message,
+      code: diagnostic.code,
+      severity: LANGUAGE_SERVER_SEVERITIES[diagnostic.severity] || 'advice',
+      ...(help.length > 0 ? { help: help.join('\nhelp: ') } : {}),
+      url: diagnostic.codeDescription?.href,
+      labels,
+      fixes,
+    };
+  });
+
+  return { diagnostics };
+}
+
+/**
+ * Lints code with a long-lived oxc language server (`oxlint --lsp`) through
+ * its own worker, see `createSyncWorker()`. The `timeout` bounds every answer
+ * of the server, and a server that misses it is replaced. The code is sent as
+ * an in-memory document, so no temp source files are written; the resolved
+ * configuration is written once per distinct configuration.
+ *
+ * @param {string} code - Source code to lint
+ * @param {string} filePath - Original file path, possibly a virtual name from a processor
+ * @param {object} finalConfig - Resolved oxlint configuration, see `resolveFinalConfig()`
+ * @param {object} [options] - Lint options, see `lint()`, with the resolved `binary`
+ * @returns {object} Lint results with diagnostics array
+ */
+function lintWithLanguageServer(code, filePath, finalConfig, options) {
+  const {
+    physicalFilename = filePath,
+    typeAware = false,
+    root = process.cwd(),
+    timeout = DEFAULT_OXLINT_TIMEOUT,
+  } = options;
+
+  const settings = { run: 'onType', fixKind: 'safe_fix' };
+  if (finalConfig && Object.keys(finalConfig).length > 0) {
+    settings.configPath = getLanguageServerConfigFile(finalConfig);
+  }
+  if (typeAware) {
+    settings.typeAware = true;
+    const tsconfigPath = resolveTsconfigFile(physicalFilename);
+    if (tsconfigPath) {
+      settings.tsConfigPath = tsconfigPath;
+    }
+  }
+
+  languageServerWorker ||= createSyncWorker(new URL('./oxlint-lsp-worker.js', import.meta.url), { name: 'language server worker' });
+
+  const uri = pathToFileURL(path.resolve(root, filePath)).href;
+  const { results, error } = languageServerWorker.call({
+    command: options.binary,
+    args: ['--lsp'],
+    rootUri: pathToFileURL(root).href,
+    settings,
+    timeout,
+    uri,
+    languageId: getLanguageId(getLanguageExtension(filePath)),
+    text: code,
+  });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return convertLanguageServerResults(results, code, uri);
+}
+
+/**
+ * Oxlint command line flags for each kind of fix pass.
+ * Each pass applies only its own kind of edits:
+ * - `fix`: safe fixes
+ * - `suggestions`: suggestions
+ * - `dangerousFixes`: safe and dangerous fixes
+ * - `dangerousSuggestions`: suggestions and dangerous suggestions
+ */
+export const FIX_MODES = {
+  fix: ['--fix'],
+  suggestions: ['--fix-suggestions'],
+  dangerousFixes: ['--fix-dangerously'],
+  dangerousSuggestions: ['--fix-suggestions', '--fix-dangerously'],
+};
+
+/**
+ * Format code using oxlint (requires --fix) via the oxlint worker.
  * @param {string} code - Source code to format
- * @param {string} filePath - Original file path
+ * @param {string} filePath - Original file path, possibly a virtual name from a processor
  * @param {object} config - Oxlint configuration
+ * @param {object} [options] - Format options, the lint options of `lint()` plus:
+ * @param {keyof FIX_MODES} [options.mode] - Kind of fix pass to run
  * @returns {string} Formatted code
  */
-export function format(code, filePath, config = {}) {
-  ensureTempDir();
+export function format(code, filePath, config = {}, options = {}) {
+  const { mode = 'fix' } = options;
+  const resolvedConfig = resolveFinalConfig(config, filePath, options);
+  if (resolvedConfig.ignored) return code;
+
+  const key = { pass: ['format', mode], code, filePath, finalConfig: resolvedConfig.finalConfig };
+  return withCache(key, options, () => {
+    const cleanupTasks = [];
+    try {
+      const invocation = prepareInvocation(code, filePath, resolvedConfig, options, cleanupTasks, { writes: true });
+      executeOxlint([...FIX_MODES[mode], '--no-ignore', ...invocation.args], {
+        cwd: invocation.cwd,
+        binary: getOxlintBinary(filePath, options),
+        timeout: options.timeout,
+      });
+      return fs.readFileSync(invocation.filePath, 'utf-8');
+    } finally {
+      runCleanupTasks(cleanupTasks);
+    }
+  });
+}
+
+/**
+ * Maximum length of the file arguments of one oxlint process, kept below the
+ * command line limit of every platform (32767 characters on Windows).
+ */
+const MAX_FILE_ARGUMENTS_LENGTH = 24000;
+
+/**
+ * Splits file arguments into chunks short enough for one command line.
+ *
+ * @param {string[]} files - File arguments
+ * @param {number} [maxLength] - Maximum total length of a chunk
+ * @returns {string[][]} Chunks of file arguments
+ */
+export function chunkFileArguments(files, maxLength = MAX_FILE_ARGUMENTS_LENGTH) {
+  const chunks = [];
+  let chunk = [];
+  let length = 0;
+
+  for (const file of files) {
+    if (chunk.length > 0 && length + file.length + 1 > maxLength) {
+      chunks.push(chunk);
+      chunk = [];
+      length = 0;
+    }
+    chunk.push(file);
+    length += file.length + 1;
+  }
+  if (chunk.length > 0) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/**
+ * Returns the files a set of configuration files was read from, with the
+ * configs they extend, and the modification stamps they had when read.
+ *
+ * @param {string[]} configFiles - Paths of configuration files
+ * @returns {Map<string, string|null>} Modification stamps by file path
+ */
+export function getConfigFileStamps(configFiles) {
+  const stamps = new Map();
+  for (const filePath of configFiles) {
+    const files = loadedConfigs.get(filePath)?.files || [{ filePath, stamp: getModificationStamp(filePath) }];
+    for (const file of files) {
+      stamps.set(file.filePath, file.stamp);
+    }
+  }
+  return stamps;
+}
+
+/**
+ * Lints files on disk with as few oxlint processes as possible, letting
+ * oxlint parallelize across them. Spans keep oxlint's UTF-8 byte offsets,
+ * see `convertSpanOffsets()`.
+ *
+ * Every file gets the configuration `lint()` would give it, nested config
+ * files included: files with the same effective configuration run together,
+ * each group with an explicit `--config` so oxlint does not look for config
+ * files itself.
+ *
+ * @param {string} root - Project root, used for config discovery and as working directory
+ * @param {string[]} files - Absolute paths of the files to lint
+ * @param {object} config - Inline oxlint configuration
+ * @param {object} [options] - Lint options
+ * @param {object} [options.enforcedRules] - Rule settings that win over every discovered config
+ * @param {boolean} [options.typeAware] - Run type-aware rules, each file against its own tsconfig
+ * @param {boolean} [options.mergeNestedConfigs] - Merge every .oxlintrc.json up to a root config, not only the nearest
+ * @param {'file'|'inline'} [options.configPrecedence] - Whether config files or the inline configuration win
+ * @param {string} [options.binary] - Path of the oxlint binary, see `resolveOxlintBinary()`
+ * @param {number} [options.timeout] - Milliseconds per linted file after which an oxlint process is killed, 0 for no limit
+ * @returns {{results: Map<string, object[]>, configFiles: string[]}} Diagnostics by absolute file path, for every linted file, and the config files that applied
+ * @throws {OxlintConfigError} If a discovered configuration file is invalid
+ */
+export function lintProject(root, files, config = {}, options = {}) {
+  const { enforcedRules = {}, typeAware = false, timeout = DEFAULT_OXLINT_TIMEOUT } = options;
+  const binary = resolveOxlintBinary(root, { ...options, root });
+  getOxlintVersion(binary);
+  const results = new Map(files.map(file => [file, []]));
+  const configFiles = new Set();
   const cleanupTasks = [];
 
+  // Config discovery only depends on the directory of a file
+  const discoveredByDir = new Map();
+  const discover = file => {
+    const dir = dirname(file);
+    if (!discoveredByDir.has(dir)) {
+      const discovered = discoverConfig(config, file, { ...options, root });
+      discovered.configFiles.forEach(configFile => configFiles.add(configFile));
+      discoveredByDir.set(dir, discovered);
+    }
+    return discoveredByDir.get(dir);
+  };
+
+  // Files with the same effective configuration run together, ignored files not at all
+  const groups = new Map();
+  for (const file of files) {
+    const { finalConfig, ignored } = applyPathConfig(discover(file), file, enforcedRules);
+    if (ignored) continue;
+    const key = JSON.stringify(finalConfig);
+    if (!groups.has(key)) {
+      groups.set(key, { finalConfig, files: [] });
+    }
+    groups.get(key).files.push(file);
+  }
+
   try {
-    let finalConfig = config;
-    const realConfigPath = resolveOxlintConfigFile(filePath);
-
-    if (realConfigPath) {
-      try {
-        const fileContent = fs.readFileSync(realConfigPath, 'utf-8');
-        const fileConfig = JSON.parse(fileContent);
-        finalConfig = mergeConfigs(config, fileConfig);
-      } catch (e) {
-        // Ignore invalid config
-        console.warn('[eslint-plugin-oxlint-x] Invalid config file:', e.message);
+    for (const group of groups.values()) {
+      const args = ['--format=json', '--no-ignore'];
+      if (typeAware) {
+        args.push('--type-aware');
+      }
+      const mergedConfigPath = createTempConfigFile(group.finalConfig || {});
+      cleanupTasks.push(() => cleanupTempFile(mergedConfigPath));
+      args.push('--config', mergedConfigPath);
+
+      const relativeFiles = group.files.map(file => path.relative(root, file));
+      for (const chunk of chunkFileArguments(relativeFiles)) {
+        // The timeout is meant per file, one run lints a whole chunk
+        const chunkTimeout = timeout > 0 ? timeout * chunk.length : 0;
+        const stdout = executeOxlint([...args, ...chunk], { cwd: root, binary, timeout: chunkTimeout });
+        let output;
+        try {
+          output = stdout.trim() ? normalizeLintOutput(JSON.parse(stdout)) : { diagnostics: [] };
+        } catch (error) {
+          throw new Error(`Failed to parse oxlint output: ${error.message}\nOutput: ${stdout}`);
+        }
+
+        for (const diagnostic of output.diagnostics || []) {
+          const file = path.resolve(root, diagnostic.filename);
+          if (!results.has(file)) {
+            results.set(file, []);
+          }
+          results.get(file).push(diagnostic);
+        }
       }
     }
+  } finally {
+    runCleanupTasks(cleanupTasks);
+  }
 
-    // Prepare temp file for code
-    const tempFilePath = createTempFile(code, filePath);
-    cleanupTasks.push(() => cleanupTempFile(tempFilePath));
+  return { results, configFiles: [...configFiles] };
+}
 
-    const cwd = dirname(tempFilePath);
-    const args = ['--fix', path.basename(tempFilePath)];
+// Cached rule catalog of the installed oxlint
+let ruleCatalog = null;
 
-    if (finalConfig && Object.keys(finalConfig).length > 0) {
-      const mergedConfigPath = createTempConfigFile(finalConfig);
-      cleanupTasks.push(() => cleanupTempFile(mergedConfigPath));
-      args.push('--config', mergedConfigPath);
-    } else if (realConfigPath) {
-      args.push('--config', realConfigPath);
+/**
+ * Loads the rule catalog of the installed oxlint (`oxlint --rules`).
+ * The catalog is read once per process; failures yield an empty catalog.
+ *
+ * @returns {Array<{scope: string, value: string, category: string, fix: string, default: boolean, docs_url: string}>} Rule catalog entries
+ */
+export function loadRuleCatalog() {
+  if (!ruleCatalog) {
+    try {
+      ruleCatalog = parseRuleCatalog(executeOxlint(['--rules', '--format=json']));
+    } catch (error) {
+      console.warn('[eslint-plugin-oxlint-x] Failed to load oxlint rule catalog:', error.message);
+      ruleCatalog = [];
+    }
+  }
+  return ruleCatalog;
+}
+
+/**
+ * Parses the output of `oxlint --rules`.
+ * Supports the JSON format and, for oxlint versions without it, the markdown tables.
+ *
+ * @param {string} stdout - Output of `oxlint --rules`
+ * @returns {Array<{scope: string, value: string, category: string, fix: string, default: boolean, docs_url: string}>} Rule catalog entries
+ */
+export function parseRuleCatalog(stdout) {
+  const text = stdout.trim();
+  if (text.startsWith('[')) {
+    return JSON.parse(text);
+  }
+
+  const catalog = [];
+  let category = '';
+  for (const line of text.split(/\r?\n/)) {
+    const heading = /^##\s+(\w+)/.exec(line);
+    if (heading) {
+      category = heading[1].toLowerCase();
+      continue;
     }
 
-    executeOxlint(args, { cwd });
-    return fs.readFileSync(tempFilePath, 'utf-8');
-  } finally {
-    for (const task of cleanupTasks) {
-      try {
-        task();
-      } catch { }
+    const cells = line.split('|').slice(1, -1).map(cell => cell.trim());
+    if (cells.length < 2 || cells[0] === 'Rule name' || /^-+$/.test(cells[0])) {
+      continue;
     }
+
+    const [value, scope, isDefault = '', , fixable = ''] = cells;
+    let fix = 'none';
+    if (fixable.includes('🛠')) {
+      fix = 'fixable_fix';
+    } else if (fixable.includes('💡')) {
+      fix = 'fixable_suggestion';
+    }
+
+    catalog.push({
+      scope,
+      value,
+      category,
+      fix,
+      default: isDefault.includes('✅'),
+      docs_url: `https://oxc.rs/docs/guide/usage/linter/rules/${scope}/${value}.html`,
+    });
   }
+  return catalog;
 }
@@ -0,0 +1,140 @@
+import path from 'node:path';
+import process from 'node:process';
+import plugin, { explainConfig } from './index.js';
+
+/**
+ * Rules of the plugin that are not per-rule virtual rules.
+ */
+const PLUGIN_RULE_NAMES = ['oxlint', 'oxlint-warn'];
+
+/**
+ * Finds the options of the plugin rules in the config ESLint calculated for a
+ * file. The plugin may be registered under any namespace.
+ *
+ * @param {object} [eslintConfig] - Result of `ESLint#calculateConfigForFile()`
+ * @returns {{namespace: string|null, enabled: boolean, ruleOptions: object, virtualRules: object}} Namespace of the plugin, whether its `oxlint` rule is on, the options of that rule, and the options of the enabled virtual rules
+ */
+export function getPluginOptions(eslintConfig) {
+  const namespace = Object.entries(eslintConfig?.plugins || {})
+    .find(([, registered]) => registered?.meta?.name === plugin.meta.name)?.[0] ?? null;
+  const result = { namespace, enabled: false, ruleOptions: {}, virtualRules: {} };
+  if (namespace === null) return result;
+
+  for (const [ruleId, setting] of Object.entries(eslintConfig.rules || {})) {
+    if (!ruleId.startsWith(`${namespace}/`)) continue;
+    const [severity, ...options] = Array.isArray(setting) ? setting : [setting];
+    if (severity === 0 || severity === 'off') continue;
+
+    const name = ruleId.slice(namespace.length + 1);
+    if (name === 'oxlint') {
+      result.enabled = true;
+      result.ruleOptions = options[0] || {};
+    } else if (!PLUGIN_RULE_NAMES.includes(name)) {
+      result.virtualRules[name] = options;
+    }
+  }
+  return result;
+}
+
+/**
+ * Describes where a rule setting comes from, see `explainConfig()`.
+ *
+ * @param {string} ruleName - Name of the rule in the oxlint config
+ * @param {object} source - Source of the setting
+ * @param {{cwd: string, namespace: string|null}} context - Working directory for relative paths, and namespace of the plugin
+ * @returns {string} Description
+ */
+function describeSource(ruleName, source, { cwd, namespace }) {
+  const relative = filePath => path.relative(cwd, filePath) || filePath;
+  const pluginPrefix = namespace ?? 'oxlint-x';
+
+  let description;
+  if (source?.type === 'file') {
+    description = [source.filePath, ...[...(source.extendedBy || [])].reverse()].map(relative).join(', extended by ');
+  } else if (source?.type === 'enforced') {
+    description = `${pluginPrefix}/${ruleName} enabled in ESLint`;
+  } else {
+    description = `inline options of ${pluginPrefix}/oxlint`;
+  }
+
+  if (source?.override) {
+    description += `, override for ${source.override.files.join(', ')}`;
+  }
+  return description;
+}
+
+/**
+ * Formats the explanation of a config as JSONC: the config oxlint runs with,
+ * each rule annotated with its source.
+ *
+ * @param {object} explanation - Result of `explainConfig()`
+ * @param {object} context - Formatting context
+ * @param {string} context.filePath - Path of the file, as given
+ * @param {string} context.cwd - Working directory for relative paths
+ * @param {string|null} context.namespace - Namespace of the plugin in the ESLint config
+ * @param {boolean} context.enabled - Whether the `oxlint` rule is on for the file
+ * @returns {string} Annotated configuration
+ */
+export function formatExplanation(explanation, { filePath, cwd, namespace, enabled }) {
+  const lines = [`// oxlint config for ${filePath}`];
+  const configFiles = explanation.configFiles.map(file => path.relative(cwd, file) || file);
+  lines.push(`// Config files: ${configFiles.length > 0 ? configFiles.join(', ') : 'none'}`);
+  if (namespace === null) {
+    lines.push('// eslint-plugin-oxlint-x is not configured for this file, only config files apply');
+  } else if (!enabled) {
+    lines.push(`// ${namespace}/oxlint is not enabled for this file`);
+  }
+  if (explanation.ignored) {
+    lines.push('// The file matches ignorePatterns and is not linted');
+  }
+
+  const entries = Object.entries(explanation.config);
+  if (entries.length === 0) {
+    lines.push('{}');
+    return lines.join('\n');
+  }
+
+  lines.push('{');
+  entries.forEach(([key, value], index) => {
+    const comma = index < entries.length - 1 ? ',' : '';
+    if (key !== 'rules' || !value || Object.keys(value).length === 0) {
+      const json = JSON.stringify(value, null, 2).replaceAll('\n', '\n  ');
+      lines.push(`  ${JSON.stringify(key)}: ${json}${comma}`);
+      return;
+    }
+
+    lines.push('  "rules": {');
+    const rules = Object.entries(value);
+    rules.forEach(([ruleName, setting], ruleIndex) => {
+      const ruleComma = ruleIndex < rules.length - 1 ? ',' : '';
+      const source = describeSource(ruleName, explanation.rules[ruleName]?.source, { cwd, namespace });
+      lines.push(`    ${JSON.stringify(ruleName)}: ${JSON.stringify(setting)}${ruleComma} // ${source}`);
+    });
+    lines.push(`  }${comma}`);
+  });
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Explains the oxlint config the plugin uses for a file, reading the rule
+ * options from the ESLint config that applies to it.
+ *
+ * @param {string} filePath - Path of the file, relative paths resolve from `cwd`
+ * @param {object} [options] - Print options
+ * @param {string} [options.cwd] - Working directory, where ESLint looks up its config
+ * @param {boolean} [options.json] - Print the explanation as JSON instead of annotated JSONC
+ * @returns {Promise<string>} Output
+ */
+export async function printConfig(filePath, { cwd = process.cwd(), json = false } = {}) {
+  const { ESLint } = await import('eslint');
+  const absolutePath = path.resolve(cwd, filePath);
+  const eslintConfig = await new ESLint({ cwd }).calculateConfigForFile(absolutePath);
+  const { namespace, enabled, ruleOptions, virtualRules } = getPluginOptions(eslintConfig);
+  const explanation = explainConfig(absolutePath, ruleOptions, { cwd, virtualRules });
+
+  if (json) {
+    return JSON.stringify({ filePath: absolutePath, enabled, ...explanation }, null, 2);
+  }
+  return formatExplanation(explanation, { filePath, cwd, namespace, enabled });
+}
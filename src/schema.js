@@ -0,0 +1,172 @@
+/**
+ * JSON schema of the `oxlint-x/oxlint` rule options: the oxlint configuration
+ * keys of `.oxlintrc.json`, taken from `oxlint/configuration_schema.json`,
+ * plus the options consumed by the plugin itself.
+ */
+
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import { join } from 'node:path';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Keys of `.oxlintrc.json` the rule options accept. `extends` is left out:
+ * inline options are not a file its paths could be resolved from.
+ */
+const OXLINT_CONFIG_KEYS = ['$schema', 'plugins', 'jsPlugins', 'categories', 'rules', 'settings', 'env', 'globals', 'overrides', 'ignorePatterns'];
+
+/**
+ * Keywords of the oxlint schema that ESLint must not see: ESLint validates
+ * with `useDefaults`, which would write the defaults into the options, and
+ * rejects formats it does not know, such as `uint32`.
+ */
+const DROPPED_KEYWORDS = new Set(['default', 'format', 'markdownDescription']);
+
+/**
+ * Keywords whose value is a schema, a list of schemas or a map of schemas.
+ */
+const SCHEMA_KEYWORDS = new Set(['items', 'additionalItems', 'additionalProperties', 'contains', 'propertyNames', 'not', 'if', 'then', 'else']);
+const SCHEMA_LIST_KEYWORDS = new Set(['allOf', 'anyOf', 'oneOf']);
+const SCHEMA_MAP_KEYWORDS = new Set(['properties', 'patternProperties', 'definitions']);
+
+/**
+ * Copies a schema for ESLint: without the keywords of `DROPPED_KEYWORDS`, and
+ * with draft-04 object schemas for the boolean schemas of draft-07, e.g.
+ * `items: true`, which ESLint's rule tester rejects.
+ *
+ * @param {*} schema - JSON schema
+ * @returns {object} Copy of the schema
+ */
+function toEslintSchema(schema) {
+  if (typeof schema === 'boolean') return schema ? {} : { not: {} };
+  if (Array.isArray(schema)) return schema.map(toEslintSchema);
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (DROPPED_KEYWORDS.has(key)) continue;
+    if (SCHEMA_MAP_KEYWORDS.has(key)) {
+      result[key] = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toEslintSchema(property)]));
+    } else if (SCHEMA_LIST_KEYWORDS.has(key) || SCHEMA_KEYWORDS.has(key)) {
+      // `additionalProperties: false` is valid draft-04 already
+      result[key] = typeof value === 'boolean' && key.startsWith('additional') ? value : toEslintSchema(value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Loads the configuration schema shipped with oxlint. The package does not
+ * export it, so it is read from every `node_modules` Node resolution looks in.
+ *
+ * @returns {object|null} Schema of `.oxlintrc.json`, or null if oxlint is not installed next to the plugin
+ */
+function loadOxlintConfigSchema() {
+  for (const nodeModulesDir of require.resolve.paths('oxlint') || []) {
+    try {
+      return toEslintSchema(JSON.parse(fs.readFileSync(join(nodeModulesDir, 'oxlint', 'configuration_schema.json'), 'utf-8')));
+    } catch {
+      // Not installed here, go up
+    }
+  }
+  return null;
+}
+
+const oxlintConfigSchema = loadOxlintConfigSchema();
+
+/**
+ * Configuration keys of `.oxlintrc.json` accepted as rule options, as oxlint
+ * defines them. Without oxlint's schema, oxlint validates them itself.
+ */
+export const oxlintConfigProperties = Object.fromEntries(
+  OXLINT_CONFIG_KEYS.map(key => [key, oxlintConfigSchema?.properties?.[key] || {}]),
+);
+
+/**
+ * Options consumed by the plugin itself, never passed to oxlint.
+ */
+export const pluginOptionProperties = {
+  severity: {
+    description: 'Maps oxlint severities onto ESLint severities, see "Severity Mapping"',
+    type: 'object',
+    properties: Object.fromEntries(
+      ['error', 'warning', 'advice']
+        .map(severity => [severity, { type: 'string', enum: ['error', 'warn', 'off'] }]),
+    ),
+    additionalProperties: false,
+  },
+  suggestions: {
+    description: 'Attach oxlint suggestions (`true`) and dangerous fixes (`"dangerous"`) as ESLint suggestions',
+    oneOf: [
+      { type: 'boolean' },
+      { type: 'string', enum: ['dangerous'] },
+    ],
+  },
+  backend: {
+    description: 'Run the oxlint CLI for every file (`"cli"`) or keep an oxc language server running (`"lsp"`)',
+    type: 'string',
+    enum: ['cli', 'lsp'],
+  },
+  batch: {
+    description: 'Lint the whole project with one oxlint run and answer each file from its results',
+    type: 'boolean',
+  },
+  cache: {
+    description: 'Persist oxlint results on disk, keyed on the file text, the effective config and the oxlint version',
+    type: 'boolean',
+  },
+  cacheLocation: {
+    description: 'Directory of the persisted results, defaults to `node_modules/.cache/oxlint-x`',
+    type: 'string',
+  },
+  typeAware: {
+    description: 'Run type-aware rules against the nearest tsconfig.json of the file',
+    type: 'boolean',
+  },
+  mergeNestedConfigs: {
+    description: 'Merge every .oxlintrc.json from the file up to a `root: true` config or the repository root, the nearest winning',
+    type: 'boolean',
+  },
+  configPrecedence: {
+    description: 'Whether .oxlintrc.json (`"file"`, the default) or the inline options (`"inline"`) win when both set something',
+    type: 'string',
+    enum: ['file', 'inline'],
+  },
+  binary: {
+    description: 'Path of the oxlint binary, relative paths resolve from the ESLint working directory',
+    type: 'string',
+  },
+  timeout: {
+    description: 'Milliseconds after which an oxlint process is killed, defaults to 60000, 0 for no limit',
+    type: 'integer',
+    minimum: 0,
+  },
+  onError: {
+    description: 'How to surface oxlint failures: report a problem on the file (`"report"`, the default), log a warning (`"warn"`), or abort ESLint (`"throw"`)',
+    type: 'string',
+    enum: ['report', 'warn', 'throw'],
+  },
+};
+
+/**
+ * Schema of the `oxlint-x/oxlint` rule options, in the object form ESLint
+ * uses as is, so the `#/definitions/...` references of oxlint's schema resolve.
+ */
+export const oxlintRuleSchema = {
+  type: 'array',
+  items: [
+    {
+      type: 'object',
+      properties: {
+        ...oxlintConfigProperties,
+        ...pluginOptionProperties,
+      },
+      additionalProperties: false,
+    },
+  ],
+  minItems: 0,
+  maxItems: 1,
+  definitions: oxlintConfigSchema?.definitions || {},
+};
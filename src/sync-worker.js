@@ -0,0 +1,161 @@
+import process from 'node:process';
+import { MessageChannel, receiveMessageOnPort, Worker, workerData } from 'node:worker_threads';
+
+/**
+ * Milliseconds between two heartbeats of a worker.
+ */
+const HEARTBEAT_INTERVAL = 200;
+
+/**
+ * Milliseconds without a heartbeat after which a worker is considered crashed
+ * or hung, by default.
+ */
+export const WORKER_GRACE_PERIOD = 5000;
+
+// Slots of the shared memory of a worker
+const RESPONSE_SLOT = 0;
+const HEARTBEAT_SLOT = 1;
+const PROCESS_SLOT = 2;
+
+/**
+ * Creates a function that calls a worker synchronously, like synckit does, but
+ * without ever waiting on a dead worker.
+ *
+ * The worker beats into memory shared with the calling thread while it runs,
+ * see `runAsSyncWorker()`, and the calling thread waits for the answer in
+ * slices. A worker that stops beating (it crashed or its event loop is
+ * blocked) or, with a `timeout`, does not answer in time is terminated along
+ * with the process it reported, and the next call starts a new one.
+ *
+ * Only the event loop of the worker reaps the processes it started, so a
+ * process killed with its worker stays a zombie, holding no more than its
+ * process table entry, until the calling process exits.
+ *
+ * @param {URL|string} workerUrl - Module of the worker
+ * @param {object} [options] - Worker options
+ * @param {string} [options.name] - Name of the worker in error messages
+ * @param {number} [options.gracePeriod] - Milliseconds without a heartbeat before the worker is dropped
+ * @returns {{call: Function, terminate: Function}} `call(params, {timeout})` returning the result of the worker, and `terminate()`
+ */
+export function createSyncWorker(workerUrl, { name = 'worker', gracePeriod = WORKER_GRACE_PERIOD } = {}) {
+  let current = null;
+  let nextId = 0;
+
+  const start = () => {
+    const shared = new Int32Array(new SharedArrayBuffer(3 * Int32Array.BYTES_PER_ELEMENT));
+    const { port1, port2 } = new MessageChannel();
+    const worker = new Worker(workerUrl, {
+      workerData: { port: port2, shared },
+      transferList: [port2],
+      execArgv: [],
+    });
+    // Never keep the process alive for an idle worker
+    worker.unref();
+    port1.unref();
+    return { worker, port: port1, shared };
+  };
+
+  const terminate = () => {
+    if (!current) return;
+    const { worker, port, shared } = current;
+    current = null;
+    const pid = Atomics.load(shared, PROCESS_SLOT);
+    if (pid > 0) {
+      try {
+        process.kill(pid, 'SIGKILL');
+      } catch {
+        // Already gone
+      }
+    }
+    port.close();
+    worker.terminate();
+  };
+
+  /**
+   * Calls the worker and waits for its answer.
+   *
+   * @param {*} params - Parameters of the worker function
+   * @param {object} [options] - Call options
+   * @param {number} [options.timeout] - Milliseconds to wait for the answer, 0 to wait as long as the worker is alive
+   * @returns {*} Result of the worker function
+   * @throws {Error} If the worker function failed, or the worker was dropped
+   */
+  const call = (params, { timeout = 0 } = {}) => {
+    current ||= start();
+    const { port, shared } = current;
+    const id = ++nextId;
+    const startTime = Date.now();
+    let lastBeat = Atomics.load(shared, HEARTBEAT_SLOT);
+    let lastBeatTime = startTime;
+
+    let signal = Atomics.load(shared, RESPONSE_SLOT);
+    port.postMessage({ id, params });
+
+    while (true) {
+      Atomics.wait(shared, RESPONSE_SLOT, signal, HEARTBEAT_INTERVAL);
+      signal = Atomics.load(shared, RESPONSE_SLOT);
+
+      let received;
+      while ((received = receiveMessageOnPort(port))) {
+        const { message } = received;
+        // Answers of earlier calls that gave up are stale
+        if (message.id !== id) continue;
+        if (message.error) {
+          throw Object.assign(new Error(message.error.message), { code: message.error.code });
+        }
+        return message.result;
+      }
+
+      const now = Date.now();
+      const beat = Atomics.load(shared, HEARTBEAT_SLOT);
+      if (beat !== lastBeat) {
+        lastBeat = beat;
+        lastBeatTime = now;
+      }
+      if (now - lastBeatTime > gracePeriod) {
+        terminate();
+        throw new Error(`The ${name} stopped responding for ${gracePeriod} ms and was restarted`);
+      }
+      if (timeout > 0 && now - startTime > timeout) {
+        terminate();
+        throw new Error(`The ${name} did not answer within ${timeout} ms and was restarted`);
+      }
+    }
+  };
+
+  return { call, terminate };
+}
+
+/**
+ * Runs a function as the worker of `createSyncWorker()`. The function gets the
+ * parameters of a call and a context whose `trackProcess(child)` reports the
+ * process it waits for, so that it is killed along with a dropped worker.
+ *
+ * @param {Function} fn - Function answering calls, may return a promise
+ */
+export function runAsSyncWorker(fn) {
+  const { port, shared } = workerData;
+
+  setInterval(() => {
+    Atomics.add(shared, HEARTBEAT_SLOT, 1);
+  }, HEARTBEAT_INTERVAL);
+
+  const context = {
+    trackProcess(child) {
+      Atomics.store(shared, PROCESS_SLOT, child.pid || 0);
+      child.once('exit', () => Atomics.compareExchange(shared, PROCESS_SLOT, child.pid || 0, 0));
+    },
+  };
+
+  port.on('message', async ({ id, params }) => {
+    let response;
+    try {
+      response = { id, result: await fn(params, context) };
+    } catch (error) {
+      response = { id, error: { message: error?.message || String(error), code: error?.code } };
+    }
+    port.postMessage(response);
+    Atomics.add(shared, RESPONSE_SLOT, 1);
+    Atomics.notify(shared, RESPONSE_SLOT);
+  });
+}
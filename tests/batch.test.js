@@ -0,0 +1,293 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const { worker } = vi.hoisted(() => ({
+  worker: vi.fn(),
+}));
+
+vi.mock('../src/sync-worker.js', () => ({
+  createSyncWorker: () => ({ call: worker, terminate() {} }),
+  WORKER_GRACE_PERIOD: 5000,
+}));
+
+const { collectProjectFiles, lintWithBatch } = await import('../src/batch.js');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-batch-'));
+
+afterAll(() => {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+/**
+ * Creates a project directory whose files were last modified in the past.
+ * @param {string} name - Project directory name
+ * @param {object} files - File contents by relative path
+ * @returns {string} Project root
+ */
+function createProject(name, files) {
+  const root = path.join(tempRoot, name);
+  const past = new Date(Date.now() - 60_000);
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = path.join(root, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    fs.utimesSync(filePath, past, past);
+  }
+  return root;
+}
+
+const debuggerDiagnostic = filename => ({
+  message: '`debugger` statement is not allowed',
+  code: 'eslint(no-debugger)',
+  severity: 'warning',
+  filename,
+  labels: [{ span: { offset: 0, length: 9, line: 1, column: 1 } }],
+});
+
+describe('batch mode', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    worker.mockReset();
+    worker.mockImplementation(({ args }) => {
+      if (args.includes('--version')) {
+        return { stdout: 'Version: 1.43.0\n', stderr: '', status: 0, error: null };
+      }
+      calls.push(args);
+      const diagnostics = args
+        .filter(arg => arg.endsWith('.js') && path.basename(arg).startsWith('debugger'))
+        .map(debuggerDiagnostic);
+      return { stdout: JSON.stringify({ diagnostics }), stderr: '', status: 0, error: null };
+    });
+  });
+
+  it('should collect lintable files outside node_modules and .git', () => {
+    const root = createProject('collect', {
+      'src/a.ts': '',
+      'src/b.vue': '',
+      'README.md': '',
+      '.config.js': '',
+      'node_modules/dep/index.js': '',
+      '.git/hooks/pre-commit.js': '',
+    });
+
+    expect(collectProjectFiles(root).map(file => path.relative(root, file)).sort()).toEqual([
+      '.config.js',
+      path.join('src', 'a.ts'),
+      path.join('src', 'b.vue'),
+    ]);
+  });
+
+  it('should honour .gitignore files and the root .eslintignore', () => {
+    const root = createProject('ignore-files', {
+      '.gitignore': 'dist/\n*.gen.js\n',
+      '.eslintignore': 'legacy/**\n',
+      'dist/bundle.js': '',
+      'legacy/old.js': '',
+      'src/.gitignore': '/local.js\nfixtures/\n',
+      'src/a.js': '',
+      'src/b.gen.js': '',
+      'src/local.js': '',
+      'src/fixtures/f.js': '',
+      'src/deep/local.js': '',
+      'packages/x/.eslintignore': 'kept.js\n',
+      'packages/x/kept.js': '',
+    });
+
+    expect(collectProjectFiles(root).map(file => path.relative(root, file)).sort()).toEqual([
+      path.join('packages', 'x', 'kept.js'),
+      path.join('src', 'a.js'),
+      path.join('src', 'deep', 'local.js'),
+    ]);
+  });
+
+  it('should answer every file of the project from one oxlint run', () => {
+    const root = createProject('single-run', {
+      'debugger.js': 'debugger;',
+      'src/clean.js': 'const a = 1;',
+    });
+
+    const first = lintWithBatch('debugger;', path.join(root, 'debugger.js'), {}, { root });
+    const second = lintWithBatch('const a = 1;', path.join(root, 'src/clean.js'), {}, { root });
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0]).toEqual(expect.arrayContaining(['--format=json', 'debugger.js', path.join('src', 'clean.js')]));
+    expect(first.diagnostics.map(d => d.code)).toEqual(['eslint(no-debugger)']);
+    expect(second.diagnostics).toEqual([]);
+  });
+
+  it('should give a batch run the timeout of every file it lints', () => {
+    const root = createProject('timeout', {
+      'a.js': 'const a = 1;',
+      'b.js': 'const b = 1;',
+      'c.js': 'const c = 1;',
+    });
+
+    lintWithBatch('const a = 1;', path.join(root, 'a.js'), {}, { root, timeout: 1000 });
+
+    expect(worker).toHaveBeenLastCalledWith(expect.objectContaining({ timeout: 3000 }), { timeout: 8000 });
+  });
+
+  it('should silently lint file by file when the project run fails', () => {
+    const root = createProject('project-failure', {
+      'debugger.js': 'debugger;',
+      'clean.js': 'const a = 1;',
+    });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    worker.mockImplementation(({ args }) => {
+      if (args.includes('--version')) {
+        return { stdout: 'Version: 1.43.0\n', stderr: '', status: 0, error: null };
+      }
+      calls.push(args);
+      if (args.includes('clean.js')) {
+        return { stdout: '', stderr: 'project run failed', status: 1, error: null };
+      }
+      const diagnostics = args.some(arg => arg.endsWith('.js')) ? [debuggerDiagnostic('debugger.js')] : [];
+      return { stdout: JSON.stringify({ diagnostics }), stderr: '', status: 0, error: null };
+    });
+
+    const result = lintWithBatch('debugger;', path.join(root, 'debugger.js'), {}, { root });
+
+    expect(calls).toHaveLength(2);
+    expect(result.diagnostics.map(d => d.code)).toEqual(['eslint(no-debugger)']);
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('should lint a file on its own when its code differs from disk', () => {
+    const root = createProject('changed', {
+      'debugger.js': 'debugger;',
+    });
+
+    lintWithBatch('debugger;', path.join(root, 'debugger.js'), {}, { root });
+    lintWithBatch('debugger; debugger;', path.join(root, 'debugger.js'), {}, { root });
+
+    expect(calls).toHaveLength(2);
+    expect(calls[1]).toContain('--no-ignore');
+    expect(calls[1].some(arg => arg.startsWith('.oxlint-temp-lint-'))).toBe(true);
+  });
+
+  it('should lint a file on its own when it changed on disk since the batch ran', () => {
+    const root = createProject('modified', {
+      'debugger.js': 'debugger;',
+    });
+
+    lintWithBatch('debugger;', path.join(root, 'debugger.js'), {}, { root });
+    fs.utimesSync(path.join(root, 'debugger.js'), new Date(), new Date(Date.now() + 1000));
+    lintWithBatch('debugger;', path.join(root, 'debugger.js'), {}, { root });
+
+    expect(calls).toHaveLength(2);
+  });
+
+  it('should lint code blocks on their own', () => {
+    const root = createProject('code-blocks', {
+      'debugger.js': 'debugger;',
+    });
+
+    lintWithBatch('debugger;', path.join(root, 'debugger.js', '0.js'), {}, {
+      root,
+      physicalFilename: path.join(root, 'debugger.js'),
+    });
+    expect(calls).toHaveLength(1);
+    expect(calls[0].some(arg => arg.startsWith('.oxlint-temp-lint-'))).toBe(true);
+  });
+
+  it('should run files of nested config files in the batch with their own configuration', () => {
+    const root = createProject('nested', {
+      '.oxlintrc.json': JSON.stringify({ rules: { 'no-debugger': 'error' } }),
+      'debugger.js': 'debugger;',
+      'nested/.oxlintrc.json': JSON.stringify({ rules: { eqeqeq: 'error' } }),
+      'nested/debugger.js': 'debugger;',
+    });
+    const configs = [];
+    worker.mockImplementation(({ args, cwd }) => {
+      if (args.includes('--version')) {
+        return { stdout: 'Version: 1.43.0\n', stderr: '', status: 0, error: null };
+      }
+      calls.push(args);
+      configs.push(JSON.parse(fs.readFileSync(path.resolve(cwd, args[args.indexOf('--config') + 1]), 'utf-8')));
+      const diagnostics = args.filter(arg => arg.endsWith('debugger.js')).map(debuggerDiagnostic);
+      return { stdout: JSON.stringify({ diagnostics }), stderr: '', status: 0, error: null };
+    });
+
+    const nested = lintWithBatch('debugger;', path.join(root, 'nested/debugger.js'), {}, { root });
+    lintWithBatch('debugger;', path.join(root, 'debugger.js'), {}, { root });
+
+    expect(calls).toHaveLength(2);
+    expect(calls.map(args => args.filter(arg => arg.endsWith('.js')))).toEqual(expect.arrayContaining([
+      ['debugger.js'],
+      [path.join('nested', 'debugger.js')],
+    ]));
+    expect(configs).toEqual(expect.arrayContaining([
+      { rules: { 'no-debugger': 'error' } },
+      { rules: { eqeqeq: 'error' } },
+    ]));
+    expect(nested.diagnostics.map(d => d.code)).toEqual(['eslint(no-debugger)']);
+  });
+
+  it('should run the batch again once a config file changes or appears', () => {
+    const root = createProject('config-change', {
+      '.oxlintrc.json': JSON.stringify({ rules: { 'no-debugger': 'error' } }),
+      'debugger.js': 'debugger;',
+      'src/debugger.js': 'debugger;',
+    });
+    const configPath = path.join(root, '.oxlintrc.json');
+    const future = new Date(Date.now() + 10_000);
+
+    lintWithBatch('debugger;', path.join(root, 'debugger.js'), {}, { root });
+    lintWithBatch('debugger;', path.join(root, 'debugger.js'), {}, { root });
+    expect(calls).toHaveLength(1);
+
+    fs.writeFileSync(configPath, JSON.stringify({ rules: { 'no-debugger': 'warn' } }));
+    fs.utimesSync(configPath, future, future);
+    lintWithBatch('debugger;', path.join(root, 'debugger.js'), {}, { root });
+    expect(calls).toHaveLength(2);
+
+    fs.writeFileSync(path.join(root, 'src/.oxlintrc.json'), '{}');
+    lintWithBatch('debugger;', path.join(root, 'src/debugger.js'), {}, { root });
+    expect(calls).toHaveLength(4);
+    expect(calls.slice(2).every(args => !args.some(arg => arg.startsWith('.oxlint-temp-lint-')))).toBe(true);
+  });
+
+  it('should run one batch per configuration', () => {
+    const root = createProject('configs', {
+      'debugger.js': 'debugger;',
+    });
+
+    lintWithBatch('debugger;', path.join(root, 'debugger.js'), {}, { root });
+    lintWithBatch('debugger;', path.join(root, 'debugger.js'), {}, { root });
+    lintWithBatch('debugger;', path.join(root, 'debugger.js'), { rules: { 'no-debugger': 'error' } }, { root });
+
+    expect(calls).toHaveLength(2);
+    expect(calls[1]).toContain('--config');
+  });
+
+  it('should run files with the same overrides together and skip ignored files', () => {
+    const root = createProject('overrides', {
+      '.oxlintrc.json': JSON.stringify({
+        ignorePatterns: ['generated/'],
+        overrides: [{ files: ['src/**/*.test.js'], rules: { 'no-console': 'off' } }],
+      }),
+      'src/debugger.js': 'debugger;',
+      'src/a/debugger.test.js': 'debugger;',
+      'src/b.test.js': '',
+      'generated/debugger.js': 'debugger;',
+    });
+
+    const generated = lintWithBatch('debugger;', path.join(root, 'generated/debugger.js'), {}, { root });
+    const test = lintWithBatch('debugger;', path.join(root, 'src/a/debugger.test.js'), {}, { root });
+
+    expect(calls).toHaveLength(2);
+    const files = calls.map(args => args.filter(arg => arg.endsWith('.js')).sort());
+    expect(files).toHaveLength(2);
+    expect(files).toEqual(expect.arrayContaining([
+      [path.join('src', 'debugger.js')],
+      [path.join('src', 'a', 'debugger.test.js'), path.join('src', 'b.test.js')],
+    ]));
+    expect(generated.diagnostics).toEqual([]);
+    expect(test.diagnostics.map(d => d.code)).toEqual(['eslint(no-debugger)']);
+  });
+});
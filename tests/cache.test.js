@@ -0,0 +1,130 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterAll, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const { worker } = vi.hoisted(() => ({
+  worker: vi.fn(),
+}));
+
+vi.mock('../src/sync-worker.js', () => ({
+  createSyncWorker: () => ({ call: worker, terminate() {} }),
+  WORKER_GRACE_PERIOD: 5000,
+}));
+
+const { clearCache, createCacheKey, getCachedResult, setCachedResult } = await import('../src/cache.js');
+const { format, lint } = await import('../src/oxlint.js');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-cache-'));
+
+afterAll(() => {
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  clearCache();
+});
+
+describe('result cache', () => {
+  it('should hash key parts', () => {
+    expect(createCacheKey(['a', { b: 1 }])).toBe(createCacheKey(['a', { b: 1 }]));
+    expect(createCacheKey(['a', { b: 1 }])).not.toBe(createCacheKey(['a', { b: 2 }]));
+  });
+
+  it('should keep results in memory and return copies', () => {
+    setCachedResult('key', { diagnostics: [{ code: 'a' }] });
+
+    const first = getCachedResult('key');
+    first.diagnostics.push({ code: 'b' });
+
+    expect(getCachedResult('key')).toEqual({ diagnostics: [{ code: 'a' }] });
+    expect(getCachedResult('missing')).toBeUndefined();
+  });
+
+  it('should persist results on disk for later processes', () => {
+    const location = path.join(tempRoot, 'persist');
+    setCachedResult('key', 'fixed code', { location, version: '1.0.0' });
+    clearCache();
+
+    expect(getCachedResult('key', { location, version: '1.0.0' })).toBe('fixed code');
+  });
+
+  it('should drop results of other oxlint versions but nothing else', () => {
+    const location = path.join(tempRoot, 'versions');
+    setCachedResult('key', 'old', { location, version: '1.0.0' });
+    fs.mkdirSync(path.join(location, 'unrelated'));
+    clearCache();
+
+    expect(getCachedResult('key', { location, version: '2.0.0' })).toBeUndefined();
+    expect(fs.readdirSync(location).filter(name => name.startsWith('oxlint-'))).toHaveLength(1);
+    expect(fs.existsSync(path.join(location, 'unrelated'))).toBe(true);
+
+    clearCache();
+    expect(getCachedResult('key', { location, version: '1.0.0' })).toBeUndefined();
+  });
+
+  it('should ignore unreadable entries', () => {
+    const location = path.join(tempRoot, 'corrupt');
+    setCachedResult('key', 'value', { location, version: '1.0.0' });
+    const [versionDir] = fs.readdirSync(location);
+    fs.writeFileSync(path.join(location, versionDir, 'key.json'), '{');
+    clearCache();
+
+    expect(getCachedResult('key', { location, version: '1.0.0' })).toBeUndefined();
+  });
+});
+
+describe('cached oxlint passes', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    worker.mockReset();
+    worker.mockImplementation(({ args }) => {
+      calls.push(args);
+      if (args.includes('--version')) {
+        return { stdout: 'Version: 1.43.0\n', stderr: '', status: 0, error: null };
+      }
+      return { stdout: '{"diagnostics":[]}', stderr: '', status: 0, error: null };
+    });
+  });
+
+  const lintCalls = () => calls.filter(args => args.includes('--format=json'));
+
+  it('should run oxlint once for the same text, file and config', () => {
+    lint('const a = 1;', 'cached.js', {});
+    lint('const a = 1;', 'cached.js', {});
+    expect(lintCalls()).toHaveLength(1);
+
+    lint('const a = 2;', 'cached.js', {});
+    lint('const a = 1;', 'other.js', {});
+    lint('const a = 1;', 'cached.js', { rules: { 'no-debugger': 'off' } });
+    lint('const a = 1;', 'cached.js', {}, { enforcedRules: { 'no-debugger': 'warn' } });
+    expect(lintCalls()).toHaveLength(5);
+  });
+
+  it('should cache fix passes by mode', () => {
+    format('const a = 1;', 'format.js', {});
+    format('const a = 1;', 'format.js', {});
+    format('const a = 1;', 'format.js', {}, { mode: 'suggestions' });
+
+    expect(calls.filter(args => args.includes('--fix'))).toHaveLength(1);
+    expect(calls.filter(args => args.includes('--fix-suggestions'))).toHaveLength(1);
+  });
+
+  it('should reuse persisted results after a restart with the same oxlint', () => {
+    const options = { cache: true, cacheLocation: path.join(tempRoot, 'lint') };
+    lint('const a = 1;', 'persisted.js', {}, options);
+    clearCache();
+    lint('const a = 1;', 'persisted.js', {}, options);
+
+    expect(lintCalls()).toHaveLength(1);
+  });
+
+  it('should never cache type-aware results', () => {
+    lint('const a = 1;', path.join(tempRoot, 'typed.ts'), {}, { typeAware: true });
+    lint('const a = 1;', path.join(tempRoot, 'typed.ts'), {}, { typeAware: true });
+
+    expect(lintCalls()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,141 @@
+import { join, resolve } from 'node:path';
+import { execa } from 'execa';
+import fs from 'fs-extra';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import plugin from '../src/index.js';
+import { formatExplanation, getPluginOptions } from '../src/print-config.js';
+
+const cliPath = resolve('src/cli.js');
+const projectDir = resolve('tests/_cli');
+
+beforeAll(async () => {
+  await fs.rm(projectDir, { recursive: true, force: true });
+  await fs.outputFile(join(projectDir, 'eslint.config.js'), `import pluginOxlintX from '../../src/index.js';
+export default [
+  {
+    files: ['**/*.js'],
+    plugins: { ox: pluginOxlintX },
+    rules: {
+      'ox/oxlint': ['warn', { rules: { 'no-alert': 'warn' } }],
+    },
+  },
+];
+`);
+  await fs.outputFile(join(projectDir, '.oxlintrc.json'), `{
+  // project config
+  "extends": ["./shared/base.json"],
+  "rules": { "no-debugger": "off" },
+  "overrides": [{ "files": ["*.test.js"], "rules": { "no-console": "off" } }],
+}
+`);
+  await fs.outputFile(join(projectDir, 'shared/base.json'), '{ "rules": { "eqeqeq": "warn" } }\n');
+  await fs.outputFile(join(projectDir, 'src/app.test.js'), 'export const x = 1;\n');
+});
+
+afterAll(async () => {
+  await fs.rm(projectDir, { recursive: true, force: true });
+});
+
+/**
+ * Runs the command line in the test project.
+ *
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<import('execa').Result>} Result, also for failures
+ */
+function run(args) {
+  return execa('node', [cliPath, ...args], { cwd: projectDir, reject: false });
+}
+
+describe('print-config', () => {
+  it('prints the effective config with the source of each rule', async () => {
+    const { exitCode, stdout } = await run(['print-config', 'src/app.test.js']);
+
+    expect(exitCode).toBe(0);
+    expect(stdout).toContain('// oxlint config for src/app.test.js');
+    expect(stdout).toContain('// Config files: .oxlintrc.json');
+    expect(stdout).toContain('"no-alert": "warn", // inline options of ox/oxlint');
+    expect(stdout).toContain(`"eqeqeq": "warn", // ${join('shared', 'base.json')}, extended by .oxlintrc.json`);
+    expect(stdout).toContain('"no-console": "off" // .oxlintrc.json, override for *.test.js');
+  });
+
+  it('prints the explanation as JSON with --json', async () => {
+    const { exitCode, stdout } = await run(['print-config', 'src/app.test.js', '--json']);
+
+    expect(exitCode).toBe(0);
+    const output = JSON.parse(stdout);
+    expect(output).toMatchObject({
+      filePath: join(projectDir, 'src/app.test.js'),
+      enabled: true,
+      ignored: false,
+      configFiles: [join(projectDir, '.oxlintrc.json')],
+    });
+    expect(output.config.rules).toEqual({ 'no-alert': 'warn', 'eqeqeq': 'warn', 'no-debugger': 'off', 'no-console': 'off' });
+    expect(output.rules['no-debugger'].source).toEqual({ type: 'file', filePath: join(projectDir, '.oxlintrc.json') });
+  });
+
+  it('exits with 2 on usage errors', async () => {
+    const unknownCommand = await run(['lint', 'src/app.test.js']);
+    expect(unknownCommand.exitCode).toBe(2);
+    expect(unknownCommand.stderr).toContain('Unknown command: lint');
+
+    const missingFile = await run(['print-config']);
+    expect(missingFile.exitCode).toBe(2);
+    expect(missingFile.stderr).toContain('Expected exactly one file');
+
+    const unknownOption = await run(['print-config', 'src/app.test.js', '--yaml']);
+    expect(unknownOption.exitCode).toBe(2);
+    expect(unknownOption.stderr).toContain('Unknown option: --yaml');
+  });
+});
+
+describe('getPluginOptions', () => {
+  it('finds the plugin under any namespace', () => {
+    expect(getPluginOptions({
+      plugins: { '@': {}, 'ox': plugin },
+      rules: {
+        'ox/oxlint': [1, { rules: { 'no-alert': 'warn' } }],
+        'ox/oxlint-warn': [1],
+        'ox/eslint/no-console': [2, { allow: ['error'] }],
+        'ox/eslint/no-debugger': [0],
+        'no-console': [2],
+      },
+    })).toEqual({
+      namespace: 'ox',
+      enabled: true,
+      ruleOptions: { rules: { 'no-alert': 'warn' } },
+      virtualRules: { 'eslint/no-console': [{ allow: ['error'] }] },
+    });
+  });
+
+  it('reports a missing plugin or a disabled rule', () => {
+    expect(getPluginOptions({ plugins: {}, rules: {} })).toEqual({ namespace: null, enabled: false, ruleOptions: {}, virtualRules: {} });
+    expect(getPluginOptions({ plugins: { ox: plugin }, rules: { 'ox/oxlint': [0] } }))
+      .toMatchObject({ namespace: 'ox', enabled: false });
+  });
+});
+
+describe('formatExplanation', () => {
+  it('annotates rules and notes ignored files', () => {
+    const output = formatExplanation({
+      config: { rules: { 'eslint/no-console': 'error' }, env: { browser: true } },
+      ignored: true,
+      configFiles: [],
+      rules: { 'eslint/no-console': { value: 'error', source: { type: 'enforced' } } },
+    }, { filePath: 'dist/app.js', cwd: '/repo', namespace: 'ox', enabled: false });
+
+    expect(output).toBe([
+      '// oxlint config for dist/app.js',
+      '// Config files: none',
+      '// ox/oxlint is not enabled for this file',
+      '// The file matches ignorePatterns and is not linted',
+      '{',
+      '  "rules": {',
+      '    "eslint/no-console": "error" // ox/eslint/no-console enabled in ESLint',
+      '  },',
+      '  "env": {',
+      '    "browser": true',
+      '  }',
+      '}',
+    ].join('\n'));
+  });
+});
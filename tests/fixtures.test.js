@@ -21,21 +21,19 @@ afterAll(async () => {
 runWithConfig('default', {});
 
 runWithConfig('with-typescript', {
-  typescript: true,
+  plugins: ['typescript'],
 });
 
 runWithConfig('with-react', {
-  react: true,
+  plugins: ['react'],
 });
 
 runWithConfig('with-vue', {
-  vue: true,
+  plugins: ['vue'],
 });
 
 runWithConfig('all-plugins', {
-  typescript: true,
-  react: true,
-  vue: true,
+  plugins: ['typescript', 'react', 'vue'],
 });
 
 /**
@@ -162,6 +160,105 @@ export default [
       expect(hasDebuggerError).toBe(false);
     }, 30000);
 
+    it('should report each fixable problem once, carrying its own fix, also through virtual rules', async () => {
+      const target = join(tempDir, 'fix-per-problem');
+      await fs.outputFile(join(target, 'app.js'), 'debugger;\nif (a == b) {}\n');
+      await fs.writeFile(
+        join(target, 'eslint.config.js'),
+        `
+import pluginOxlintX from '../../../src/index.js';
+export default [
+  {
+    plugins: { oxlint: pluginOxlintX },
+    rules: {
+      'oxlint/oxlint': ['warn', { rules: { 'no-debugger': 'error', 'eqeqeq': 'error' } }],
+      'oxlint/eslint/no-debugger': 'error',
+    },
+  },
+];
+        `,
+      );
+
+      const { stdout } = await execa('npx', ['eslint', 'app.js', '--format', 'json'], {
+        cwd: target,
+        reject: false,
+      });
+
+      const [{ messages }] = JSON.parse(stdout);
+      expect(messages.map(m => [m.ruleId, m.message.split(' (')[0]])).toEqual([
+        ['oxlint/eslint/no-debugger', '`debugger` statement is not allowed'],
+        ['oxlint/oxlint', 'Expected === and instead saw =='],
+      ]);
+      expect(messages[0].fix).toEqual({ range: [0, 9], text: '' });
+      expect(messages[1].fix).toBeUndefined();
+    }, 30000);
+
+    it('should honor oxlint directives without ESLint reporting unused directives', async () => {
+      const target = join(tempDir, 'directives');
+      await fs.outputFile(join(target, 'app.js'), [
+        '// oxlint-disable-next-line eslint(no-debugger)',
+        'debugger;',
+        'debugger; // oxlint-disable-line oxlint/eslint/no-debugger',
+        '/* oxlint-disable no-debugger */',
+        'debugger;',
+        '',
+      ].join('\n'));
+      await fs.writeFile(
+        join(target, 'eslint.config.js'),
+        `
+import pluginOxlintX from '../../../src/index.js';
+export default [
+  {
+    plugins: { oxlint: pluginOxlintX },
+    linterOptions: { reportUnusedDisableDirectives: 'error' },
+    rules: {
+      'oxlint/oxlint': ['warn', { rules: { 'no-debugger': 'error' } }],
+      'oxlint/eslint/no-debugger': 'error',
+    },
+  },
+];
+        `,
+      );
+
+      const { stdout } = await execa('npx', ['eslint', 'app.js', '--format', 'json'], {
+        cwd: target,
+        reject: false,
+      });
+
+      const [{ messages }] = JSON.parse(stdout);
+      expect(messages).toEqual([]);
+    }, 30000);
+
+    it('should keep eslint directives that name oxlint rules when unused directives are not reported', async () => {
+      const target = join(tempDir, 'eslint-directives');
+      const code = '// eslint-disable-next-line no-debugger\ndebugger;\n';
+      await fs.outputFile(join(target, 'app.js'), code);
+      await fs.writeFile(
+        join(target, 'eslint.config.js'),
+        `
+import pluginOxlintX from '../../../src/index.js';
+export default [
+  {
+    plugins: { oxlint: pluginOxlintX },
+    linterOptions: { reportUnusedDisableDirectives: 'off' },
+    rules: {
+      'oxlint/oxlint': ['warn', { rules: { 'no-debugger': 'error' } }],
+    },
+  },
+];
+        `,
+      );
+
+      const { stdout } = await execa('npx', ['eslint', 'app.js', '--fix', '--format', 'json'], {
+        cwd: target,
+        reject: false,
+      });
+
+      const [{ messages }] = JSON.parse(stdout);
+      expect(messages).toEqual([]);
+      expect(await fs.readFile(join(target, 'app.js'), 'utf-8')).toBe(code);
+    }, 30000);
+
     it('should find .oxlintrc.json in parent directories', async () => {
       const target = join(tempDir, 'resolve-oxlintrc');
       await fs.ensureDir(join(target, 'nested/dir'));
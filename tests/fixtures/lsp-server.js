@@ -0,0 +1,89 @@
+// Minimal stand-in for `oxlint --lsp`: reports every `debugger` statement,
+// offers its removal as the preferred quick fix, exits on `crash` and never
+// answers for `hang`.
+import process from 'node:process';
+
+let buffer = Buffer.alloc(0);
+let settings = null;
+
+const send = message => {
+  const content = JSON.stringify({ jsonrpc: '2.0', ...message });
+  process.stdout.write(`Content-Length: ${Buffer.byteLength(content)}\r\n\r\n${content}`);
+};
+
+const findDiagnostics = text => {
+  const diagnostics = [];
+  text.split('\n').forEach((line, index) => {
+    let character = line.indexOf('debugger;');
+    while (character !== -1) {
+      const range = { start: { line: index, character }, end: { line: index, character: character + 9 } };
+      diagnostics.push({
+        range,
+        severity: settings?.configPath ? 1 : 2,
+        code: 'eslint(no-debugger)',
+        codeDescription: { href: 'https://oxc.rs/docs/guide/usage/linter/rules/eslint/no-debugger.html' },
+        source: 'oxc',
+        message: '`debugger` statement is not allowed\nhelp: Remove the debugger statement',
+        relatedInformation: [{ location: { uri: currentUri, range }, message: '' }],
+      });
+      character = line.indexOf('debugger;', character + 1);
+    }
+  });
+  return diagnostics;
+};
+
+let currentUri = null;
+
+const publish = (uri, text, version) => {
+  if (text.includes('crash')) process.exit(1);
+  if (text.includes('hang')) return;
+  currentUri = uri;
+  send({
+    method: 'textDocument/publishDiagnostics',
+    params: { uri, diagnostics: findDiagnostics(text), ...(version > 1 ? { version } : {}) },
+  });
+};
+
+const handle = message => {
+  switch (message.method) {
+    case 'initialize':
+      settings = message.params.initializationOptions?.[0]?.options;
+      send({ id: message.id, result: { capabilities: { textDocumentSync: 1 } } });
+      break;
+    case 'textDocument/didOpen':
+      publish(message.params.textDocument.uri, message.params.textDocument.text, message.params.textDocument.version);
+      break;
+    case 'textDocument/didChange':
+      publish(message.params.textDocument.uri, message.params.contentChanges[0].text, message.params.textDocument.version);
+      break;
+    case 'textDocument/codeAction': {
+      const { textDocument, range } = message.params;
+      send({
+        id: message.id,
+        result: [
+          { title: 'Remove the debugger statement', kind: 'quickfix', isPreferred: true, edit: { changes: { [textDocument.uri]: [{ range, newText: '' }] } } },
+          { title: 'Disable no-debugger for this line', kind: 'quickfix', isPreferred: false, edit: { changes: { [textDocument.uri]: [{ range: { start: { line: range.start.line, character: 0 }, end: { line: range.start.line, character: 0 } }, newText: '// oxlint-disable-next-line no-debugger\n' }] } } },
+        ],
+      });
+      break;
+    }
+    case 'shutdown':
+      send({ id: message.id, result: null });
+      break;
+    case 'exit':
+      process.exit(0);
+  }
+};
+
+process.stdin.on('data', chunk => {
+  buffer = Buffer.concat([buffer, chunk]);
+  while (true) {
+    const headerEnd = buffer.indexOf('\r\n\r\n');
+    if (headerEnd === -1) return;
+    const length = Number(/Content-Length: (\d+)/i.exec(buffer.subarray(0, headerEnd).toString())[1]);
+    if (buffer.length < headerEnd + 4 + length) return;
+    const content = buffer.subarray(headerEnd + 4, headerEnd + 4 + length).toString();
+    buffer = buffer.subarray(headerEnd + 4 + length);
+    handle(JSON.parse(content));
+  }
+});
@@ -0,0 +1,37 @@
+// Worker for the sync worker tests: echoes, fails, sleeps, blocks its event
+// loop, or starts a process, writes its pid and then blocks, depending on
+// the call.
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import process from 'node:process';
+import { runAsSyncWorker } from '../../src/sync-worker.js';
+
+const block = ms => {
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    // Busy loop, no heartbeat gets through
+  }
+};
+
+runAsSyncWorker(async ({ action, value, pidFile }, context) => {
+  switch (action) {
+    case 'echo':
+      return value;
+    case 'fail':
+      throw Object.assign(new Error(value), { code: 'EFAIL' });
+    case 'sleep':
+      await new Promise(resolve => setTimeout(resolve, value));
+      return 'slept';
+    case 'block':
+      block(value);
+      return 'blocked';
+    case 'spawn': {
+      const child = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+      context.trackProcess(child);
+      await new Promise(resolve => child.once('spawn', resolve));
+      fs.writeFileSync(pidFile, String(child.pid));
+      block(value);
+      return 'blocked';
+    }
+  }
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest';
-import { showInvisibles, generateDifferences } from '../src/helper.js';
+import { showInvisibles, generateDifferences, generateEdits, applyEdits, rebaseEdits, getEquivalentEdits, mergeEdits, mergeAdjacentEdits, normalizeRuleName, codeToRuleName, createByteOffsetConverter, createPositionConverter, parseJsonc, globToRegExp, matchesOverrideFiles, isIgnoredPath } from '../src/helper.js';
+import { JsoncSyntaxError } from '../src/errors.js';
 
 describe('showInvisibles', () => {
   it('should convert spaces to middle dots', () => {
@@ -147,3 +148,264 @@ describe('generateDifferences constants', () => {
     expect(generateDifferences.REPLACE).toBe('replace');
   });
 });
+
+describe('edits', () => {
+  const code = 'let a = 1;\nf(a === NaN);debugger;';
+  const fixed = 'let a = 1;\nf(isNaN(a));';
+
+  it('should keep every insertion and deletion apart, even on one line', () => {
+    const edits = generateEdits(code, fixed);
+
+    expect(edits.every(edit => edit.deleteText === '' || edit.insertText === '')).toBe(true);
+    expect(edits.length).toBeGreaterThan(2);
+    expect(applyEdits(code, edits)).toBe(fixed);
+  });
+
+  it('should apply insertions before a deletion at the same offset and reject overlapping edits', () => {
+    expect(applyEdits('abc', [
+      { offset: 1, deleteText: 'b', insertText: '' },
+      { offset: 1, deleteText: '', insertText: 'x' },
+    ])).toBe('axc');
+    expect(applyEdits('abc', [
+      { offset: 0, deleteText: 'ab', insertText: '' },
+      { offset: 1, deleteText: 'bc', insertText: '' },
+    ])).toBeNull();
+  });
+
+  it('should move edits of a fixed version onto the source and drop those touching fixed text', () => {
+    const source = 'debugger; a == b; c == d;';
+    const base = ' a == b; c == d;';
+    const edits = generateEdits(base, ' a === b; c === d;');
+
+    expect(applyEdits(source, rebaseEdits(edits, source, base))).toBe('debugger; a === b; c === d;');
+    expect(rebaseEdits([{ offset: 0, deleteText: ' a', insertText: '' }], 'xa', ' a')).toEqual([]);
+  });
+
+  it('should slide edits to equivalent places on their line, nearest first', () => {
+    const edits = [{ offset: 1, deleteText: ';debugger', insertText: '' }];
+
+    expect(getEquivalentEdits('x;debugger;', edits, 0)).toEqual([
+      { offset: 2, deleteText: 'debugger;', insertText: '' },
+    ]);
+    expect(getEquivalentEdits('aa\naa', [{ offset: 2, deleteText: '', insertText: 'a' }], 0)).toEqual([
+      { offset: 1, deleteText: '', insertText: 'a' },
+      { offset: 0, deleteText: '', insertText: 'a' },
+    ]);
+  });
+
+  it('should move an insertion across a neighbouring deletion', () => {
+    const edits = [
+      { offset: 1, deleteText: 'bc', insertText: '' },
+      { offset: 3, deleteText: '', insertText: 'x' },
+    ];
+
+    expect(getEquivalentEdits('abcd', edits, 1)).toEqual([
+      { offset: 1, deleteText: '', insertText: 'x' },
+    ]);
+  });
+
+  it('should merge edits into one hunk, or into hunks of touching edits', () => {
+    const edits = generateEdits(code, fixed);
+
+    expect(mergeEdits(code, edits)).toEqual({
+      operation: generateDifferences.REPLACE,
+      offset: 13,
+      deleteText: 'a === NaN);debugger',
+      insertText: 'isNaN(a))',
+    });
+    expect(mergeAdjacentEdits('abcd', [
+      { offset: 3, deleteText: 'd', insertText: '' },
+      { offset: 0, deleteText: '', insertText: 'x' },
+      { offset: 0, deleteText: 'a', insertText: '' },
+    ])).toEqual([
+      { operation: generateDifferences.REPLACE, offset: 0, deleteText: 'a', insertText: 'x' },
+      { operation: generateDifferences.DELETE, offset: 3, deleteText: 'd', insertText: '' },
+    ]);
+  });
+});
+
+describe('normalizeRuleName', () => {
+  it('should keep scoped names in catalog form', () => {
+    expect(normalizeRuleName('eslint/no-debugger')).toBe('eslint/no-debugger');
+    expect(normalizeRuleName('typescript/no-explicit-any')).toBe('typescript/no-explicit-any');
+  });
+
+  it('should normalize plugin prefixes and aliases', () => {
+    expect(normalizeRuleName('@typescript-eslint/no-explicit-any')).toBe('typescript/no-explicit-any');
+    expect(normalizeRuleName('eslint-plugin-jsx-a11y/alt-text')).toBe('jsx-a11y/alt-text');
+    expect(normalizeRuleName('jsx_a11y/alt-text')).toBe('jsx-a11y/alt-text');
+    expect(normalizeRuleName('eslint-plugin-next/no-img-element')).toBe('nextjs/no-img-element');
+  });
+
+  it('should return unscoped names unchanged', () => {
+    expect(normalizeRuleName('no-debugger')).toBe('no-debugger');
+  });
+});
+
+describe('codeToRuleName', () => {
+  it('should convert diagnostic codes to rule names', () => {
+    expect(codeToRuleName('eslint(no-debugger)')).toBe('eslint/no-debugger');
+    expect(codeToRuleName('typescript-eslint(no-explicit-any)')).toBe('typescript/no-explicit-any');
+    expect(codeToRuleName('eslint-plugin-react(jsx-key)')).toBe('react/jsx-key');
+  });
+
+  it('should return null for codes without a rule', () => {
+    expect(codeToRuleName('mock-fail')).toBeNull();
+    expect(codeToRuleName(undefined)).toBeNull();
+  });
+});
+
+describe('createByteOffsetConverter', () => {
+  it('should return byte offsets unchanged for ASCII text', () => {
+    const toIndex = createByteOffsetConverter('const a = 1;');
+    expect(toIndex(6)).toBe(6);
+  });
+
+  it('should convert UTF-8 byte offsets to string indices', () => {
+    const text = 'const s = "中文😀";\ndebugger;';
+    const toIndex = createByteOffsetConverter(text);
+    const byteOffset = Buffer.byteLength(text.slice(0, text.indexOf('debugger')));
+
+    expect(toIndex(byteOffset)).toBe(text.indexOf('debugger'));
+    expect(toIndex(byteOffset + 'debugger'.length)).toBe(text.indexOf('debugger') + 'debugger'.length);
+    expect(toIndex(Buffer.byteLength(text))).toBe(text.length);
+  });
+
+  it('should map offsets after surrogate pairs', () => {
+    const text = '😀x';
+    const toIndex = createByteOffsetConverter(text);
+    expect(toIndex(4)).toBe(2);
+  });
+});
+
+describe('createPositionConverter', () => {
+  it('should convert line and character to string indices across line breaks', () => {
+    const toIndex = createPositionConverter('a\r\nbé😀\rc\nd');
+    expect(toIndex({ line: 0, character: 1 })).toBe(1);
+    expect(toIndex({ line: 1, character: 0 })).toBe(3);
+    expect(toIndex({ line: 1, character: 4 })).toBe(7);
+    expect(toIndex({ line: 2, character: 0 })).toBe(8);
+    expect(toIndex({ line: 3, character: 1 })).toBe(11);
+  });
+
+  it('should clamp positions past the end of the text', () => {
+    const toIndex = createPositionConverter('ab');
+    expect(toIndex({ line: 0, character: 5 })).toBe(2);
+    expect(toIndex({ line: 4, character: 0 })).toBe(2);
+  });
+});
+
+describe('parseJsonc', () => {
+  it('should parse plain JSON like JSON.parse', () => {
+    const text = '{"a": [1, -2.5e3, true, false, null], "b": {"c": "\\u00e9\\n"}}';
+    expect(parseJsonc(text)).toEqual(JSON.parse(text));
+  });
+
+  it('should accept comments and trailing commas', () => {
+    const text = [
+      '// oxlint config',
+      '{',
+      '  /* rules */',
+      '  "rules": {',
+      '    "no-debugger": "warn", // keep',
+      '  },',
+      '  "plugins": ["import",],',
+      '}',
+    ].join('\n');
+    expect(parseJsonc(text)).toEqual({ rules: { 'no-debugger': 'warn' }, plugins: ['import'] });
+  });
+
+  it('should keep comment markers inside strings', () => {
+    expect(parseJsonc('{"url": "https://oxc.rs/*x*/"}')).toEqual({ url: 'https://oxc.rs/*x*/' });
+  });
+
+  it('should define __proto__ as an own property', () => {
+    const result = parseJsonc('{"__proto__": {"polluted": true}}');
+    expect(Object.hasOwn(result, '__proto__')).toBe(true);
+    expect({}.polluted).toBeUndefined();
+  });
+
+  it('should report syntax errors with their line and column', () => {
+    const cases = [
+      ['{"a": 1,, }', "Expected a property name but found ','", 1, 9],
+      ['{\n  "a": tru\n}', "Unexpected 't'", 2, 8],
+      ['{"a": 1', "Expected ',' or '}' but found end of input", 1, 8],
+      ['{"a" 1}', "Expected ':' but found '1'", 1, 6],
+      ['{} /* open', 'Unterminated comment', 1, 4],
+    ];
+    for (const [text, reason, line, column] of cases) {
+      let error;
+      try {
+        parseJsonc(text);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(JsoncSyntaxError);
+      expect(error).toMatchObject({ reason, line, column });
+      expect(error.message).toBe(`${reason} at line ${line}, column ${column}`);
+    }
+  });
+});
+
+describe('globToRegExp', () => {
+  it('should keep * and ? within a path segment and let ** span segments', () => {
+    expect(globToRegExp('src/*.ts').test('src/a.ts')).toBe(true);
+    expect(globToRegExp('src/*.ts').test('src/a/b.ts')).toBe(false);
+    expect(globToRegExp('src/**/*.ts').test('src/a.ts')).toBe(true);
+    expect(globToRegExp('src/**/*.ts').test('src/a/b/c.ts')).toBe(true);
+    expect(globToRegExp('src/**').test('src/a/b.ts')).toBe(true);
+    expect(globToRegExp('a?.js').test('ab.js')).toBe(true);
+    expect(globToRegExp('a?.js').test('a/.js')).toBe(false);
+  });
+
+  it('should support braces, character classes and escaped characters', () => {
+    expect(globToRegExp('*.{ts,tsx}').test('a.tsx')).toBe(true);
+    expect(globToRegExp('*.{ts,tsx}').test('a.js')).toBe(false);
+    expect(globToRegExp('[abc].js').test('b.js')).toBe(true);
+    expect(globToRegExp('[!abc].js').test('d.js')).toBe(true);
+    expect(globToRegExp('[!abc].js').test('a.js')).toBe(false);
+    expect(globToRegExp('\\*.js').test('*.js')).toBe(true);
+    expect(globToRegExp('\\*.js').test('a.js')).toBe(false);
+    expect(globToRegExp('a+(b).js').test('a+(b).js')).toBe(true);
+  });
+});
+
+describe('matchesOverrideFiles', () => {
+  it('should match globs without a slash at any depth, like oxlint', () => {
+    expect(matchesOverrideFiles('src/a/x.test.ts', ['*.test.ts'])).toBe(true);
+    expect(matchesOverrideFiles('x.test.ts', ['*.test.ts'])).toBe(true);
+    expect(matchesOverrideFiles('src/x.ts', ['*.test.ts'])).toBe(false);
+  });
+
+  it('should anchor globs with a slash to the config file', () => {
+    expect(matchesOverrideFiles('src/a/x.test.ts', ['src/**/*.test.ts'])).toBe(true);
+    expect(matchesOverrideFiles('lib/src/x.test.ts', ['src/**/*.test.ts'])).toBe(false);
+    expect(matchesOverrideFiles('src/x.ts', ['./src/*.ts'])).toBe(true);
+  });
+});
+
+describe('isIgnoredPath', () => {
+  it('should ignore files and everything inside ignored directories', () => {
+    expect(isIgnoredPath('dist/a/b.js', ['dist'])).toBe(true);
+    expect(isIgnoredPath('src/dist/b.js', ['dist'])).toBe(true);
+    expect(isIgnoredPath('src/a.gen.js', ['*.gen.js'])).toBe(true);
+    expect(isIgnoredPath('src/a.js', ['*.gen.js', '', '# comment'])).toBe(false);
+  });
+
+  it('should match trailing slash patterns on directories only', () => {
+    expect(isIgnoredPath('src/dist', ['dist/'])).toBe(false);
+    expect(isIgnoredPath('src/dist/a.js', ['dist/'])).toBe(true);
+    expect(isIgnoredPath('src/dist', ['dist/'], true)).toBe(true);
+  });
+
+  it('should anchor patterns containing a slash', () => {
+    expect(isIgnoredPath('lib/a.js', ['/lib'])).toBe(true);
+    expect(isIgnoredPath('src/lib/a.js', ['/lib'])).toBe(false);
+    expect(isIgnoredPath('src/lib/a.js', ['src/lib'])).toBe(true);
+  });
+
+  it('should let the last matching pattern win', () => {
+    expect(isIgnoredPath('src/a.gen.js', ['*.gen.js', '!src/a.gen.js'])).toBe(false);
+    expect(isIgnoredPath('src/a.gen.js', ['!src/a.gen.js', '*.gen.js'])).toBe(true);
+  });
+});
@@ -1,34 +1,211 @@
+import fs from 'node:fs';
+import path from 'node:path';
 import { describe, expect, it, vi } from 'vitest';
-import { RuleTester } from 'eslint';
-import eslintPluginOxlint from '../src/index.js';
+import { Linter, RuleTester } from 'eslint';
+import eslintPluginOxlint, { explainConfig } from '../src/index.js';
+import { oxlintConfigProperties } from '../src/schema.js';
+
+// Batch mode answers through the mocked lint()
+vi.mock('../src/batch.js', async () => {
+  const { lint } = await import('../src/oxlint.js');
+  return { lintWithBatch: (...args) => lint(...args) };
+});
 
 // Define implementations directly in the mock to avoid scope issues
 // vitest hoists this block so imports inside must be careful, but we are just returning functions.
-vi.mock('../src/oxlint.js', () => ({
-  lint: vi.fn().mockImplementation(code => {
-    // Mock lint failures based on code content
-    if (code.includes('fail')) {
-      return {
-        diagnostics: [
-          {
-            message: 'Mock Failure',
-            code: 'mock-fail',
-            severity: 'error',
-            labels: [{ span: { offset: 0, length: 4 } }],
-          },
-        ],
-      };
-    }
-    return { diagnostics: [] };
-  }),
-  format: vi.fn().mockImplementation(code => {
-    // Mock format changes based on code content
-    if (code.includes('fixme')) {
-      return code.replace('fixme', 'fixed');
-    }
-    return code;
-  }),
-}));
+vi.mock('../src/oxlint.js', async () => {
+  const { OxlintConfigError } = await import('../src/errors.js');
+  return {
+    explainConfig: vi.fn().mockImplementation((filePath, config, options) => ({ filePath, config, options })),
+    loadRuleCatalog: vi.fn().mockReturnValue([
+      {
+        scope: 'eslint',
+        value: 'no-debugger',
+        category: 'correctness',
+        fix: 'fixable_fix',
+        default: true,
+        docs_url: 'https://oxc.rs/docs/guide/usage/linter/rules/eslint/no-debugger.html',
+      },
+      {
+        scope: 'jsx_a11y',
+        value: 'alt-text',
+        category: 'correctness',
+        fix: 'none',
+        default: false,
+        docs_url: 'https://oxc.rs/docs/guide/usage/linter/rules/jsx_a11y/alt-text.html',
+      },
+    ]),
+    lint: vi.fn().mockImplementation(code => {
+      // Invalid config file
+      if (code.includes('badconfig')) {
+        throw new OxlintConfigError("Unexpected 'e'", { filePath: '/project/.oxlintrc.json', line: 3, column: 20 });
+      }
+      // Oxlint cannot run
+      if (code.includes('nobinary')) {
+        throw new Error('Cannot find the oxlint binary for /project.');
+      }
+      // Mock lint failures based on code content
+      if (code.includes('fail')) {
+        return {
+          diagnostics: [
+            {
+              message: 'Mock Failure',
+              code: 'mock-fail',
+              severity: 'error',
+              labels: [{ span: { offset: 0, length: 4 } }],
+            },
+          ],
+        };
+      }
+      // Diagnostic with a span outside the code
+      if (code.includes('badspan')) {
+        return {
+          diagnostics: [
+            { message: 'Mock Bad Span', code: 'mock-badspan', severity: 'warning', labels: [{ span: { offset: -5, length: 1 } }] },
+            { message: 'Mock Good Span', code: 'mock-goodspan', severity: 'warning', labels: [{ span: { offset: 0, length: 1 } }] },
+          ],
+        };
+      }
+      // Diagnostic with suggestions and dangerous fixes
+      if (code.includes('suggest')) {
+        return {
+          diagnostics: [
+            {
+              message: 'Mock Suggest',
+              code: 'mock-suggest',
+              severity: 'warning',
+              labels: [{ span: { offset: 0, length: 10 } }],
+            },
+          ],
+        };
+      }
+      // Diagnostic with help text and a secondary label
+      if (code.includes('for (')) {
+        return {
+          diagnostics: [
+            {
+              message: 'Mock Direction',
+              code: 'eslint(for-direction)',
+              severity: 'warning',
+              help: 'Use i++ instead',
+              url: 'https://oxc.rs/docs/guide/usage/linter/rules/eslint/for-direction.html',
+              labels: [
+                { label: 'This test moves in the wrong direction', span: { offset: 16, length: 6 } },
+                { label: 'with this update', span: { offset: 24, length: 3 } },
+              ],
+            },
+          ],
+        };
+      }
+      // Diagnostic without labels
+      if (code.includes('nolabel')) {
+        return {
+          diagnostics: [
+            { message: 'Mock File Level', code: 'mock-file', severity: 'warning', labels: [] },
+          ],
+        };
+      }
+      // Diagnostics of every oxlint severity
+      if (code.includes('severity')) {
+        return {
+          diagnostics: ['error', 'warning', 'advice'].map((severity, index) => ({
+            message: `Mock ${severity}`,
+            code: `mock-${severity}`,
+            severity,
+            labels: [{ span: { offset: index, length: 1 } }],
+          })),
+        };
+      }
+      // Fixable diagnostics on one line, only one of whose fixes stays within its label
+      if (code.includes('NaN')) {
+        return {
+          diagnostics: [
+            { message: 'Mock NaN', code: 'eslint(use-isnan)', severity: 'warning', labels: [{ span: { offset: code.indexOf('NaN'), length: 3 } }] },
+            { message: 'Mock Debugger', code: 'eslint(no-debugger)', severity: 'warning', labels: [{ span: { offset: code.indexOf('debugger;'), length: 9 } }] },
+          ],
+        };
+      }
+      // Dangerous fix next to a safe fix
+      if (code.includes(' == ')) {
+        return {
+          diagnostics: [
+            { message: 'Mock Eqeqeq', code: 'eslint(eqeqeq)', severity: 'warning', labels: [{ span: { offset: code.indexOf('=='), length: 2 } }] },
+            { message: 'Mock Debugger', code: 'eslint(no-debugger)', severity: 'warning', labels: [{ span: { offset: code.indexOf('debugger;'), length: 9 } }] },
+          ],
+        };
+      }
+      // Fixable diagnostic; like real oxlint output it has no fix data
+      if (code.includes('debugger')) {
+        return {
+          diagnostics: [
+            {
+              message: 'Mock Debugger',
+              code: 'eslint(no-debugger)',
+              severity: 'warning',
+              labels: [{ span: { offset: code.indexOf('debugger;'), length: 9 } }],
+            },
+          ],
+        };
+      }
+      // Diagnostic of a catalog rule without safe fixes
+      if (code.includes('altText')) {
+        return {
+          diagnostics: [
+            {
+              message: 'Mock Alt Text',
+              code: 'eslint-plugin-jsx-a11y(alt-text)',
+              severity: 'warning',
+              labels: [{ span: { offset: 0, length: 4 } }],
+            },
+          ],
+        };
+      }
+      // Diagnostic without fix data (older oxlint versions)
+      if (code.includes('fixme')) {
+        return {
+          diagnostics: [
+            {
+              message: 'Mock Fixme',
+              code: 'mock-fixme',
+              severity: 'warning',
+              labels: [{ span: { offset: 6, length: 5 } }],
+            },
+          ],
+        };
+      }
+      return { diagnostics: [] };
+    }),
+    format: vi.fn().mockImplementation((code, filePath, config, { mode = 'fix' } = {}) => {
+      if (code.includes('suggest_broken') && mode !== 'fix') {
+        throw new Error('Oxlint exited with code 101');
+      }
+      if (code.includes('suggest')) {
+        if (mode === 'suggestions' || mode === 'dangerousSuggestions') {
+          return code.replace('suggest', 'suggested');
+        }
+        if (mode === 'dangerousFixes') {
+          return code.replace('(x)', '(y)');
+        }
+        return code;
+      }
+      if (code.includes('NaN')) {
+        return code.replace('a === NaN', 'isNaN(a)').replace('debugger;', '');
+      }
+      if (code.includes(' == ')) {
+        const fixed = code.replace('debugger;', '');
+        return mode === 'dangerousFixes' ? fixed.replace(' == ', ' === ') : mode === 'fix' ? fixed : code;
+      }
+      // Mock format changes based on code content
+      if (code.includes('debugger')) {
+        return code.replace('debugger;', '');
+      }
+      if (code.includes('fixme')) {
+        return code.replace('fixme', 'fixed').replace(/ +/g, ' ').trimEnd();
+      }
+      return code;
+    }),
+  };
+});
 
 const ruleTester = new RuleTester({
   languageOptions: {
@@ -56,6 +233,72 @@ describe('eSLint Plugin Oxlint Integration', () => {
     });
   });
 
+  describe('option schema', () => {
+    const verifyWithOptions = (options) => {
+      const linter = new Linter();
+      return linter.verify('const success = true;', {
+        files: ['**/*.js'],
+        plugins: { 'oxlint-x': eslintPluginOxlint },
+        rules: { 'oxlint-x/oxlint': ['warn', options] },
+      }, 'virtual.js');
+    };
+
+    it('should accept oxlint configuration and plugin options', () => {
+      expect(verifyWithOptions({
+        plugins: ['react', 'jsx-a11y'],
+        categories: { suspicious: 'warn' },
+        rules: { 'no-debugger': 'error', 'no-console': ['warn', { allow: ['error'] }], 'eqeqeq': 2 },
+        settings: { react: { version: '18' } },
+        env: { browser: true },
+        globals: { jQuery: 'readonly', $: 'writable', Promise: 'off' },
+        jsPlugins: ['eslint-plugin-foo', { name: 'bar', specifier: './bar.js' }],
+        overrides: [{ files: ['*.test.js'], rules: { 'no-console': 'off' }, jsPlugins: ['eslint-plugin-baz'] }],
+        ignorePatterns: ['dist/**'],
+        severity: { advice: 'off' },
+        suggestions: 'dangerous',
+        batch: true,
+        backend: 'lsp',
+        cache: true,
+        cacheLocation: '.cache/oxlint',
+        typeAware: true,
+        mergeNestedConfigs: true,
+        configPrecedence: 'inline',
+        binary: 'tools/oxlint',
+        onError: 'throw',
+        timeout: 30000,
+      })).toEqual([]);
+    });
+
+    it.each([
+      [{ rule: { 'no-debugger': 'error' } }, /should NOT have additional properties/],
+      [{ plugin: ['react'] }, /should NOT have additional properties/],
+      [{ plugins: ['reactt'] }, /should be equal to one of the allowed values/],
+      [{ rules: { 'no-debugger': 'fatal' } }, /should be equal to one of the allowed values/],
+      [{ globals: { jQuery: true } }, /should be string/],
+      [{ globals: { jQuery: 'readable' } }, /should be equal to one of the allowed values/],
+      [{ jsPlugins: [{ name: 'foo' }] }, /should have required property 'specifier'/],
+      [{ extends: ['./base.json'] }, /should NOT have additional properties/],
+      [{ overrides: [{ rules: {} }] }, /should have required property 'files'/],
+      [{ severity: { advice: 'info' } }, /should be equal to one of the allowed values/],
+      [{ suggestions: 'all' }, /should match exactly one schema in oneOf/],
+      [{ backend: 'daemon' }, /should be equal to one of the allowed values/],
+      [{ configPrecedence: 'eslint' }, /should be equal to one of the allowed values/],
+      [{ binary: true }, /should be string/],
+      [{ onError: 'ignore' }, /should be equal to one of the allowed values/],
+      [{ timeout: -1 }, /should be >= 0/],
+    ])('should reject invalid options %j', (options, message) => {
+      expect(() => verifyWithOptions(options)).toThrow(message);
+    });
+
+    it('should take the oxlint configuration keys from the schema of oxlint', () => {
+      const { properties } = JSON.parse(fs.readFileSync('node_modules/oxlint/configuration_schema.json', 'utf-8'));
+      const { extends: _extends, ...inlineProperties } = properties;
+
+      expect(Object.keys(oxlintConfigProperties).sort()).toEqual(Object.keys(inlineProperties).sort());
+      expect(JSON.stringify(oxlintConfigProperties)).not.toMatch(/"(?:default|format)":/);
+    });
+  });
+
   describe('rule Execution', () => {
     // Test Case 1: Valid Code
     ruleTester.run('oxlint-valid', eslintPluginOxlint.rules.oxlint, {
@@ -83,9 +326,521 @@ describe('eSLint Plugin Oxlint Integration', () => {
           code: 'const fixme = 1;',
           filename: 'fix.js',
           output: 'const fixed = 1;',
-          errors: [{ message: 'Oxlint found fixable issues.' }],
+          errors: [{ message: 'Mock Fixme (mock-fixme)', line: 1, column: 7 }],
         },
       ],
     });
+
+    // Test Case 4: Hunks outside every diagnostic are reported on their own
+    ruleTester.run('oxlint-fix-hunks', eslintPluginOxlint.rules.oxlint, {
+      valid: [],
+      invalid: [
+        {
+          code: 'const fixme = 1;\nconst  b = 2;\nconst c = 3;   ',
+          filename: 'hunks.js',
+          output: 'const fixed = 1;\nconst b = 2;\nconst c = 3;',
+          errors: [
+            { message: 'Mock Fixme (mock-fixme)', line: 1, column: 7 },
+            { messageId: 'delete', data: { deleteText: '·' }, line: 2, column: 6 },
+            { messageId: 'delete', data: { deleteText: '···' }, line: 3, column: 13 },
+          ],
+        },
+      ],
+    });
+
+    // Test Case 5: The fix of a diagnostic comes from the hunk inside its label
+    ruleTester.run('oxlint-diagnostic-fix', eslintPluginOxlint.rules.oxlint, {
+      valid: [],
+      invalid: [
+        {
+          code: 'debugger; const fixme = 1;',
+          filename: 'debugger.js',
+          output: ' const fixme = 1;',
+          errors: [{ message: 'Mock Debugger (eslint(no-debugger))', line: 1, column: 1 }],
+        },
+      ],
+    });
+  });
+
+  describe('severity mapping', () => {
+    const lintWithSeverity = (rules) => {
+      const linter = new Linter();
+      return linter.verify('severity;', {
+        files: ['**/*.js'],
+        plugins: { 'oxlint-x': eslintPluginOxlint },
+        rules,
+      }, 'severity.js');
+    };
+
+    it('should report every diagnostic through the oxlint rule without a severity map', () => {
+      const messages = lintWithSeverity({
+        'oxlint-x/oxlint': 'error',
+        'oxlint-x/oxlint-warn': 'warn',
+      });
+
+      expect(messages.map(m => [m.ruleId, m.severity])).toEqual([
+        ['oxlint-x/oxlint', 2],
+        ['oxlint-x/oxlint', 2],
+        ['oxlint-x/oxlint', 2],
+      ]);
+    });
+
+    it('should split diagnostics between oxlint and oxlint-warn', () => {
+      const messages = lintWithSeverity({
+        'oxlint-x/oxlint': ['error', { severity: { advice: 'off' } }],
+        'oxlint-x/oxlint-warn': 'warn',
+      });
+
+      expect(messages.map(m => [m.message, m.ruleId, m.severity])).toEqual([
+        ['Mock error (mock-error)', 'oxlint-x/oxlint', 2],
+        ['Mock warning (mock-warning)', 'oxlint-x/oxlint-warn', 1],
+      ]);
+    });
+
+    it('should report diagnostics mapped to warn through oxlint while oxlint-warn is not enabled', () => {
+      const messages = lintWithSeverity({
+        'oxlint-x/oxlint': ['error', { severity: { advice: 'off' } }],
+      });
+
+      expect(messages.map(m => [m.message, m.ruleId, m.severity])).toEqual([
+        ['Mock error (mock-error)', 'oxlint-x/oxlint', 2],
+        ['Mock warning (mock-warning)', 'oxlint-x/oxlint', 2],
+      ]);
+    });
+
+    it('should not pass the severity option to oxlint', async () => {
+      const { lint } = await import('../src/oxlint.js');
+      lint.mockClear();
+      lintWithSeverity({
+        'oxlint-x/oxlint': ['error', { severity: { warning: 'error' }, rules: { 'no-debugger': 'warn' } }],
+      });
+
+      expect(lint).toHaveBeenCalledTimes(1);
+      expect(lint.mock.calls[0][2]).toEqual({ rules: { 'no-debugger': 'warn' } });
+    });
+  });
+
+  describe('virtual rules', () => {
+    const lintWithRules = (code, rules) => {
+      const linter = new Linter();
+      return linter.verify(code, {
+        files: ['**/*.js'],
+        plugins: { 'oxlint-x': eslintPluginOxlint },
+        rules,
+      }, 'virtual.js');
+    };
+
+    it('should only load the rule catalog when a virtual rule is looked up', async () => {
+      vi.resetModules();
+      const { loadRuleCatalog } = await import('../src/oxlint.js');
+      loadRuleCatalog.mockClear();
+      const { default: plugin } = await import('../src/index.js');
+
+      expect(plugin.rules.oxlint.meta.type).toBe('problem');
+      expect(plugin.rules['oxlint-warn']).toBeDefined();
+      expect(loadRuleCatalog).not.toHaveBeenCalled();
+
+      expect(plugin.rules['eslint/no-debugger'].meta.docs.url).toMatch(/no-debugger\.html$/);
+      expect(plugin.rules['eslint/unknown']).toBeUndefined();
+      expect(Object.keys(plugin.rules)).toEqual(['oxlint', 'oxlint-warn', 'eslint/no-debugger', 'jsx-a11y/alt-text']);
+      expect(loadRuleCatalog).toHaveBeenCalledTimes(1);
+    });
+
+    it('should expose every catalog rule with docs metadata', () => {
+      const rule = eslintPluginOxlint.rules['eslint/no-debugger'];
+      expect(rule.meta.docs.url).toBe('https://oxc.rs/docs/guide/usage/linter/rules/eslint/no-debugger.html');
+      expect(rule.meta.fixable).toBe('code');
+
+      const a11yRule = eslintPluginOxlint.rules['jsx-a11y/alt-text'];
+      expect(a11yRule.meta.fixable).toBeUndefined();
+    });
+
+    it('should report diagnostics under the virtual rule instead of the oxlint rule', () => {
+      const messages = lintWithRules('debugger;', {
+        'oxlint-x/oxlint': 'warn',
+        'oxlint-x/eslint/no-debugger': 'error',
+      });
+
+      expect(messages.map(m => [m.ruleId, m.severity])).toEqual([
+        ['oxlint-x/eslint/no-debugger', 2],
+      ]);
+    });
+
+    it('should turn enabled virtual rules on in oxlint with their options', async () => {
+      const { lint } = await import('../src/oxlint.js');
+      lint.mockClear();
+      lintWithRules('debugger;', {
+        'oxlint-x/eslint/no-debugger': 'error',
+        'oxlint-x/jsx-a11y/alt-text': ['warn', { elements: ['img'] }],
+      });
+
+      expect(lint).toHaveBeenCalledTimes(1);
+      expect(lint.mock.calls[0][3].enforcedRules).toEqual({
+        'eslint/no-debugger': 'warn',
+        'jsx-a11y/alt-text': ['warn', { elements: ['img'] }],
+      });
+    });
+
+    it('should apply per-diagnostic fixes through the virtual rule', () => {
+      const linter = new Linter();
+      const { output } = linter.verifyAndFix('debugger;', {
+        files: ['**/*.js'],
+        plugins: { 'oxlint-x': eslintPluginOxlint },
+        rules: { 'oxlint-x/eslint/no-debugger': 'error' },
+      }, 'virtual.js');
+
+      expect(output).toBe('');
+    });
+  });
+
+  describe('suggestions', () => {
+    ruleTester.run('oxlint-suggestions', eslintPluginOxlint.rules.oxlint, {
+      valid: [],
+      invalid: [
+        {
+          code: 'suggest(x);',
+          filename: 'suggest.js',
+          errors: [{ message: 'Mock Suggest (mock-suggest)', suggestions: [] }],
+        },
+        {
+          code: 'suggest(x);',
+          filename: 'suggest.js',
+          options: [{ suggestions: true }],
+          errors: [
+            {
+              message: 'Mock Suggest (mock-suggest)',
+              suggestions: [{ desc: 'Insert `ed`', output: 'suggested(x);' }],
+            },
+          ],
+        },
+        {
+          code: 'suggest(x);',
+          filename: 'suggest.js',
+          options: [{ suggestions: 'dangerous' }],
+          errors: [
+            {
+              message: 'Mock Suggest (mock-suggest)',
+              suggestions: [
+                { desc: 'Insert `ed`', output: 'suggested(x);' },
+                { desc: 'Replace `x` with `y` (dangerous)', output: 'suggest(y);' },
+              ],
+            },
+          ],
+        },
+      ],
+    });
+  });
+
+  describe('edit matching', () => {
+    const verify = (code, options = {}) => new Linter().verify(code, {
+      files: ['**/*.js'],
+      plugins: { 'oxlint-x': eslintPluginOxlint },
+      rules: { 'oxlint-x/oxlint': ['warn', options] },
+    }, 'edits.js');
+
+    it('should only give a diagnostic the edits within its own label', () => {
+      const messages = verify('let a = 1;\nf(a === NaN);debugger;');
+
+      const debuggerFix = messages.find(m => m.message.startsWith('Mock Debugger')).fix;
+      expect(debuggerFix).toEqual({ range: [24, 33], text: '' });
+      // The fix of use-isnan reaches outside its label, so it is reported in pieces instead
+      expect(messages.find(m => m.message.startsWith('Mock NaN')).fix).toBeUndefined();
+      expect(messages.filter(m => m.fix && m.fix !== debuggerFix).map(m => m.fix)).toEqual([
+        { range: [13, 19], text: 'is' },
+        { range: [22, 22], text: '(a)' },
+      ]);
+    });
+
+    it('should compare dangerous fixes with the safe fixes', () => {
+      const messages = verify('if (s == "x") { debugger; }', { suggestions: 'dangerous' });
+
+      expect(messages.map(m => [m.message, m.fix, m.suggestions?.map(({ desc, fix }) => [desc, fix])])).toEqual([
+        ['Mock Eqeqeq (eslint(eqeqeq))', undefined, [['Insert `=` (dangerous)', { range: [8, 8], text: '=' }]]],
+        ['Mock Debugger (eslint(no-debugger))', { range: [16, 25], text: '' }, undefined],
+      ]);
+    });
+  });
+
+  describe('diagnostic details', () => {
+    ruleTester.run('oxlint-details', eslintPluginOxlint.rules.oxlint, {
+      valid: [],
+      invalid: [
+        {
+          code: 'for (let i = 0; i < 10; i--) {}',
+          filename: 'details.js',
+          errors: [
+            {
+              message: 'Mock Direction: This test moves in the wrong direction (eslint(for-direction)) Help: Use i++ instead'
+                + ' Related: 1:25 with this update Docs: https://oxc.rs/docs/guide/usage/linter/rules/eslint/for-direction.html',
+              line: 1,
+              column: 17,
+              endColumn: 23,
+            },
+          ],
+        },
+        {
+          code: 'const nolabel = 1;',
+          filename: 'details.js',
+          errors: [{ message: 'Mock File Level (mock-file)', line: 1, column: 1 }],
+        },
+      ],
+    });
+  });
+
+  describe('type-aware linting', () => {
+    it('should pass the typeAware option to oxlint instead of the oxlint config', async () => {
+      const { lint } = await import('../src/oxlint.js');
+      lint.mockClear();
+
+      const linter = new Linter();
+      linter.verify('fail', {
+        files: ['**/*.js'],
+        plugins: { 'oxlint-x': eslintPluginOxlint },
+        rules: { 'oxlint-x/oxlint': ['warn', { typeAware: true, rules: { 'no-debugger': 'off' } }] },
+      }, 'virtual.js');
+
+      expect(lint).toHaveBeenCalledTimes(1);
+      expect(lint.mock.calls[0][2]).toEqual({ rules: { 'no-debugger': 'off' } });
+      expect(lint.mock.calls[0][3].typeAware).toBe(true);
+    });
+  });
+
+  describe('nested configs', () => {
+    it('should pass the mergeNestedConfigs option to config discovery', async () => {
+      const { lint } = await import('../src/oxlint.js');
+      lint.mockClear();
+
+      const linter = new Linter();
+      linter.verify('fail', {
+        files: ['**/*.js'],
+        plugins: { 'oxlint-x': eslintPluginOxlint },
+        rules: { 'oxlint-x/oxlint': ['warn', { mergeNestedConfigs: true }] },
+      }, 'virtual.js');
+
+      expect(lint.mock.calls[0][2]).toEqual({});
+      expect(lint.mock.calls[0][3].mergeNestedConfigs).toBe(true);
+    });
+  });
+
+  describe('oxlint binary', () => {
+    it('should pass the binary option with the ESLint working directory', async () => {
+      const { lint } = await import('../src/oxlint.js');
+      lint.mockClear();
+
+      const linter = new Linter({ cwd: '/project' });
+      linter.verify('fail', {
+        files: ['**/*.js'],
+        plugins: { 'oxlint-x': eslintPluginOxlint },
+        rules: { 'oxlint-x/oxlint': ['warn', { binary: 'tools/oxlint' }] },
+      }, 'virtual.js');
+
+      expect(lint.mock.calls[0][2]).toEqual({});
+      expect(lint.mock.calls[0][3]).toMatchObject({ binary: 'tools/oxlint', root: '/project' });
+    });
+  });
+
+  describe('explainConfig', () => {
+    it('should explain the config of a file with the oxlint options of the rule', () => {
+      expect(explainConfig('src/a.js', {
+        rules: { 'no-debugger': 'error' },
+        configPrecedence: 'inline',
+        mergeNestedConfigs: true,
+        severity: { advice: 'off' },
+      }, { cwd: '/project' })).toEqual({
+        filePath: path.resolve('/project', 'src/a.js'),
+        config: { rules: { 'no-debugger': 'error' } },
+        options: { enforcedRules: {}, root: '/project', mergeNestedConfigs: true, configPrecedence: 'inline' },
+      });
+    });
+
+    it('should enforce the enabled virtual rules', () => {
+      const { options } = explainConfig('a.js', {}, {
+        cwd: '/project',
+        virtualRules: { 'eslint/no-debugger': [], 'eslint/no-console': [{ allow: ['warn'] }] },
+      });
+
+      expect(options.enforcedRules).toEqual({
+        'eslint/no-debugger': 'warn',
+        'eslint/no-console': ['warn', { allow: ['warn'] }],
+      });
+    });
+  });
+
+  describe('result cache', () => {
+    it('should pass cache options with the location resolved from the working directory', async () => {
+      const { lint } = await import('../src/oxlint.js');
+      lint.mockClear();
+
+      const linter = new Linter({ cwd: '/project' });
+      linter.verify('fail', {
+        files: ['**/*.js'],
+        plugins: { 'oxlint-x': eslintPluginOxlint },
+        rules: { 'oxlint-x/oxlint': ['warn', { cache: true, cacheLocation: '.cache/oxlint' }] },
+      }, 'virtual.js');
+
+      expect(lint.mock.calls[0][2]).toEqual({});
+      expect(lint.mock.calls[0][3]).toMatchObject({
+        cache: true,
+        cacheLocation: path.resolve('/project', '.cache/oxlint'),
+      });
+    });
+  });
+
+  describe('fix pass', () => {
+    const verify = (code, rules) => {
+      const linter = new Linter();
+      return linter.verify(code, {
+        files: ['**/*.js'],
+        plugins: { 'oxlint-x': eslintPluginOxlint },
+        rules,
+      }, 'virtual.js');
+    };
+
+    it('should lint without --fix and run the fix pass once for a fixable rule', async () => {
+      const { format, lint } = await import('../src/oxlint.js');
+      format.mockClear();
+      lint.mockClear();
+
+      const messages = verify('debugger;', { 'oxlint-x/oxlint': 'warn' });
+
+      expect(lint).toHaveBeenCalledTimes(1);
+      expect(lint.mock.calls[0][3]).not.toHaveProperty('fix');
+      expect(format).toHaveBeenCalledTimes(1);
+      expect(format.mock.calls[0][3].mode).toBe('fix');
+      expect(messages.map(m => m.message)).toEqual(['Mock Debugger (eslint(no-debugger))']);
+      expect(messages[0].fix).toEqual({ range: [0, 9], text: '' });
+    });
+
+    it('should skip the fix pass when no reported rule has safe fixes', async () => {
+      const { format } = await import('../src/oxlint.js');
+      format.mockClear();
+
+      const messages = verify('altText;', { 'oxlint-x/oxlint': 'warn' });
+
+      expect(format).not.toHaveBeenCalled();
+      expect(messages.map(m => m.message)).toEqual(['Mock Alt Text (eslint-plugin-jsx-a11y(alt-text))']);
+    });
+  });
+
+  describe('config errors', () => {
+    it('should report an invalid config file once with its position', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const linter = new Linter();
+      const messages = linter.verify('const badconfig = 1;', {
+        files: ['**/*.js'],
+        plugins: { 'oxlint-x': eslintPluginOxlint },
+        rules: {
+          'oxlint-x/oxlint': 'error',
+          'oxlint-x/oxlint-warn': 'warn',
+          'oxlint-x/eslint/no-debugger': 'warn',
+        },
+      }, 'virtual.js');
+      expect(warn).not.toHaveBeenCalled();
+      warn.mockRestore();
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0]).toMatchObject({
+        ruleId: 'oxlint-x/oxlint',
+        line: 1,
+        column: 1,
+        message: "Invalid oxlint config /project/.oxlintrc.json:3:20: Unexpected 'e'",
+      });
+    });
+  });
+
+  describe('onError', () => {
+    const verify = options => new Linter().verify('const nobinary = 1;', {
+      files: ['**/*.js'],
+      plugins: { 'oxlint-x': eslintPluginOxlint },
+      rules: {
+        'oxlint-x/oxlint': ['error', options],
+        'oxlint-x/oxlint-warn': 'warn',
+      },
+    }, 'virtual.js');
+
+    it('should report a failure on the file by default', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const messages = verify({});
+      expect(warn).not.toHaveBeenCalled();
+      warn.mockRestore();
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0]).toMatchObject({
+        ruleId: 'oxlint-x/oxlint',
+        severity: 2,
+        line: 1,
+        column: 1,
+        message: 'Oxlint failed, the file was not linted: Cannot find the oxlint binary for /project.',
+      });
+    });
+
+    it('should only log a failure with onError: warn', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const messages = verify({ onError: 'warn' });
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toBe('[eslint-plugin-oxlint-x] Oxlint failed, the file was not linted:');
+      warn.mockRestore();
+
+      expect(messages).toEqual([]);
+    });
+
+    it('should handle failing suggestions and invalid spans like other failures', () => {
+      const verifyCode = (code, options) => new Linter().verify(code, {
+        files: ['**/*.js'],
+        plugins: { 'oxlint-x': eslintPluginOxlint },
+        rules: { 'oxlint-x/oxlint': ['error', options] },
+      }, 'virtual.js');
+
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const suggestions = verifyCode('suggest_broken(x);', { suggestions: true });
+      const spans = verifyCode('badspan;', {});
+      expect(warn).not.toHaveBeenCalled();
+
+      expect(suggestions.map(m => m.message)).toEqual([
+        'Oxlint suggestions failed: Oxlint exited with code 101',
+        'Mock Suggest (mock-suggest)',
+      ]);
+      expect(spans).toHaveLength(2);
+      expect(spans[0]).toMatchObject({ line: 1, column: 1, severity: 2 });
+      expect(spans[0].message).toMatch(/^Oxlint reported an invalid location for mock-badspan: Index out of range/);
+      expect(spans[1].message).toBe('Mock Good Span (mock-goodspan)');
+
+      verifyCode('badspan;', { onError: 'warn' });
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toBe('[eslint-plugin-oxlint-x] Oxlint reported an invalid location for mock-badspan:');
+      warn.mockRestore();
+    });
+
+    it('should abort ESLint with onError: throw', () => {
+      expect(() => verify({ onError: 'throw' })).toThrow(/Cannot find the oxlint binary/);
+    });
+  });
+
+  describe('processors', () => {
+    it('should lint code blocks by virtual name and discover config from the physical file', async () => {
+      const { lint } = await import('../src/oxlint.js');
+      lint.mockClear();
+
+      const linter = new Linter();
+      const messages = linter.verify('# Title\n', [
+        {
+          files: ['**/*.md'],
+          processor: {
+            preprocess: () => [{ text: 'fail', filename: '0.js' }],
+            postprocess: messageLists => messageLists.flat(),
+          },
+        },
+        {
+          files: ['**/*.js'],
+          plugins: { 'oxlint-x': eslintPluginOxlint },
+          rules: { 'oxlint-x/oxlint': 'warn' },
+        },
+      ], 'docs/README.md');
+
+      expect(messages.map(m => m.message)).toEqual(['Mock Failure (mock-fail)']);
+      expect(lint).toHaveBeenCalledTimes(1);
+      expect(lint.mock.calls[0][1]).toMatch(/docs[\\/]README\.md[\\/]0_0\.js$/);
+      expect(lint.mock.calls[0][3].physicalFilename).toMatch(/docs[\\/]README\.md$/);
+    });
   });
 });
@@ -0,0 +1,135 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { Linter } from 'eslint';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const { worker } = vi.hoisted(() => ({
+  worker: vi.fn(),
+}));
+
+vi.mock('../src/sync-worker.js', () => ({
+  createSyncWorker: () => ({ call: worker, terminate() {} }),
+  WORKER_GRACE_PERIOD: 5000,
+}));
+
+let calls = [];
+
+/**
+ * Fake oxlint: reports every `debugger;` and `==`, and with `--fix` removes every `debugger;`.
+ *
+ * @param {object} params - Worker parameters
+ * @returns {object} Process result
+ */
+function runFakeOxlint({ args, cwd }) {
+  const output = stdout => ({ stdout, stderr: '', status: 0, error: null });
+  if (args.includes('--version')) {
+    return output('Version: 1.43.0\n');
+  }
+  if (args.includes('--rules')) {
+    return output(JSON.stringify([
+      { scope: 'eslint', value: 'no-debugger', category: 'correctness', fix: 'fixable_fix', default: true, docs_url: '' },
+      { scope: 'eslint', value: 'eqeqeq', category: 'pedantic', fix: 'conditional_dangerous_fix', default: false, docs_url: '' },
+    ]));
+  }
+  const target = path.join(cwd, args[args.length - 1]);
+  const text = fs.readFileSync(target, 'utf-8');
+  calls.push({ args, text });
+
+  if (args.includes('--fix')) {
+    fs.writeFileSync(target, text.replaceAll('debugger;', ''));
+    return output('{"diagnostics":[]}');
+  }
+
+  const report = (pattern, code, length) => [...text.matchAll(pattern)].map(match => ({
+    message: 'Problem',
+    code,
+    severity: 'warning',
+    labels: [{ span: { offset: match.index, length } }],
+  }));
+  return output(JSON.stringify({
+    diagnostics: [...report(/debugger;/g, 'eslint(no-debugger)', 9), ...report(/==/g, 'eslint(eqeqeq)', 2)],
+  }));
+}
+
+const { clearCache } = await import('../src/cache.js');
+const { lint } = await import('../src/oxlint.js');
+const { default: plugin } = await import('../src/index.js');
+
+describe('oxlint runs per file', () => {
+  beforeEach(() => {
+    clearCache();
+    calls = [];
+    worker.mockReset();
+    worker.mockImplementation(runFakeOxlint);
+  });
+
+  const verifyAndFix = (code, filename) => new Linter().verifyAndFix(code, {
+    files: ['**/*.js'],
+    plugins: { 'oxlint-x': plugin },
+    rules: { 'oxlint-x/oxlint': 'warn' },
+  }, filename);
+
+  it('should run oxlint once when no reported rule is fixable', () => {
+    const { output, messages } = verifyAndFix('if (a == b) {}', 'unfixable.js');
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0].args).not.toContain('--fix');
+    expect(output).toBe('if (a == b) {}');
+    expect(messages.map(m => m.message)).toEqual(['Problem (eslint(eqeqeq))']);
+  });
+
+  it('should only run --fix for fixable rules, on the original code', () => {
+    const { output, messages } = verifyAndFix('debugger;\nif (a == b) {}', 'fixable.js');
+
+    expect(calls.map(call => call.args.includes('--fix'))).toEqual([false, true, false]);
+    expect(calls[1].text).toBe('debugger;\nif (a == b) {}');
+    // The last run lints the fixed code, which has nothing left to fix
+    expect(calls[2].text).toBe('\nif (a == b) {}');
+    expect(output).toBe('\nif (a == b) {}');
+    expect(messages.map(m => m.message)).toEqual(['Problem (eslint(eqeqeq))']);
+  });
+
+  it('should not pass --fix to the lint run', () => {
+    const result = lint('debugger;', 'plain.js', {});
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0].args).not.toContain('--fix');
+    expect(result.fixedCode).toBeUndefined();
+  });
+});
+
+describe('worker recovery', () => {
+  beforeEach(() => {
+    clearCache();
+    worker.mockReset();
+  });
+
+  it('should fail the lint and keep linting after a worker was dropped', () => {
+    let hung = false;
+    worker.mockImplementation(({ args }) => {
+      if (args.includes('--format=json') && !hung) {
+        hung = true;
+        throw new Error('The oxlint worker did not answer within 6000 ms and was restarted');
+      }
+      return { stdout: args.includes('--version') ? 'Version: 1.43.0\n' : '{"diagnostics":[]}', stderr: '', status: 0, error: null };
+    });
+
+    expect(() => lint('let hung;', 'hung.js', {}, { timeout: 1000 }))
+      .toThrow('The oxlint worker did not answer within 6000 ms and was restarted');
+    expect(lint('let hung;', 'hung.js', {}, { timeout: 1000 })).toEqual({ diagnostics: [] });
+  });
+
+  it('should wait on the worker for the timeout and its grace period', () => {
+    worker.mockImplementation(() => ({ stdout: '{"diagnostics":[]}', stderr: '', status: 0, error: null }));
+
+    lint('let slow;', 'slow.js', {}, { timeout: 1000 });
+    expect(worker).toHaveBeenLastCalledWith(expect.objectContaining({ timeout: 1000 }), { timeout: 6000 });
+  });
+
+  it('should pass the timeout and output limit to the worker', () => {
+    worker.mockImplementation(() => ({ stdout: '{"diagnostics":[]}', stderr: '', status: 0, error: null }));
+
+    lint('let slow;', 'slow.js', {}, { timeout: 0 });
+    expect(worker).toHaveBeenLastCalledWith(expect.objectContaining({ timeout: 0, maxBuffer: 10 * 1024 * 1024 }), { timeout: 0 });
+  });
+});
@@ -0,0 +1,246 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import process from 'node:process';
+import { afterAll, afterEach, describe, expect, it } from 'vitest';
+import { createLanguageServerClient, createLanguageServerPool, createMessageDecoder, encodeMessage } from '../src/lsp-client.js';
+import { convertLanguageServerResults, lint } from '../src/oxlint.js';
+
+const stubServer = fileURLToPath(new URL('./fixtures/lsp-server.js', import.meta.url));
+const rootUri = pathToFileURL(process.cwd()).href;
+const uri = pathToFileURL(`${process.cwd()}/src/file.js`).href;
+
+describe('language server client', () => {
+  let client;
+
+  const startClient = (options = {}) => {
+    client = createLanguageServerClient({
+      command: process.execPath,
+      args: [stubServer],
+      rootUri,
+      timeout: 2000,
+      ...options,
+    });
+    return client;
+  };
+
+  afterEach(async () => {
+    await client?.shutdown();
+    client = null;
+  });
+
+  it('should frame and decode messages split across chunks', () => {
+    const messages = [];
+    const decode = createMessageDecoder(message => messages.push(message));
+    const framed = Buffer.from(encodeMessage({ id: 1, result: 'é' }) + encodeMessage({ id: 2 }));
+
+    decode(framed.subarray(0, 10));
+    decode(framed.subarray(10, 30));
+    decode(framed.subarray(30));
+
+    expect(messages).toEqual([{ id: 1, result: 'é' }, { id: 2 }]);
+  });
+
+  it('should collect published diagnostics and their quick fixes', async () => {
+    const results = await startClient().lintDocument(uri, 'javascript', 'const a = 1;\ndebugger;');
+
+    expect(results).toHaveLength(1);
+    expect(results[0].diagnostic.code).toBe('eslint(no-debugger)');
+    expect(results[0].diagnostic.range.start).toEqual({ line: 1, character: 0 });
+    expect(results[0].codeActions.map(action => action.title)).toEqual([
+      'Remove the debugger statement',
+      'Disable no-debugger for this line',
+    ]);
+  });
+
+  it('should update open documents and reuse results of unchanged text', async () => {
+    startClient();
+    expect(await client.lintDocument(uri, 'javascript', 'debugger;')).toHaveLength(1);
+    expect(await client.lintDocument(uri, 'javascript', 'debugger;debugger;')).toHaveLength(2);
+    expect(await client.lintDocument(uri, 'javascript', 'const a = 1;')).toHaveLength(0);
+
+    const cached = await client.lintDocument(uri, 'javascript', 'const a = 1;');
+    expect(cached).toEqual([]);
+  });
+
+  it('should fail when the server does not publish diagnostics in time', async () => {
+    await expect(startClient({ timeout: 200 }).lintDocument(uri, 'javascript', 'hang'))
+      .rejects.toThrow(/did not respond/);
+  });
+
+  it('should fail and stay dead when the server exits', async () => {
+    startClient();
+    await expect(client.lintDocument(uri, 'javascript', 'crash')).rejects.toThrow(/exited with code 1/);
+    expect(client.isAlive()).toBe(false);
+    await expect(client.lintDocument(uri, 'javascript', 'debugger;')).rejects.toThrow(/exited/);
+  });
+});
+
+describe('language server pool', () => {
+  let pool;
+
+  afterEach(() => {
+    pool?.killAll();
+    pool = null;
+  });
+
+  const getClient = (root, timeout = 2000) => pool.getClient({
+    command: process.execPath,
+    args: [stubServer],
+    rootUri: `${rootUri}/${root}`,
+    timeout,
+  });
+
+  it('should reuse running servers and stop the least recently used beyond the maximum', () => {
+    pool = createLanguageServerPool({ maxServers: 2 });
+    const a = getClient('a');
+    const b = getClient('b');
+
+    expect(getClient('a')).toBe(a);
+    const c = getClient('c');
+
+    expect(pool.size()).toBe(2);
+    expect(b.isAlive()).toBe(false);
+    expect(a.isAlive()).toBe(true);
+    expect(c.isAlive()).toBe(true);
+    expect(getClient('b')).not.toBe(b);
+  });
+
+  it('should start another server for another timeout', () => {
+    pool = createLanguageServerPool();
+    const a = getClient('a');
+
+    expect(getClient('a', 500)).not.toBe(a);
+    expect(pool.size()).toBe(2);
+  });
+
+  it('should replace released and exited servers', async () => {
+    pool = createLanguageServerPool();
+    const first = getClient('a');
+    await expect(first.lintDocument(uri, 'javascript', 'crash')).rejects.toThrow(/exited/);
+
+    const second = getClient('a');
+    expect(second).not.toBe(first);
+    pool.release(second);
+    expect(pool.size()).toBe(0);
+  });
+});
+
+describe('convertLanguageServerResults', () => {
+  it('should convert diagnostics, labels and preferred fixes to oxlint diagnostics', () => {
+    const code = 'const é = "😀";\nfor (let i = 0; i < 10; i--) {}';
+    const range = (line, start, end) => ({ start: { line, character: start }, end: { line, character: end } });
+    const edit = { range: range(1, 0, 31), newText: '' };
+
+    const { diagnostics } = convertLanguageServerResults([
+      {
+        diagnostic: {
+          range: range(1, 16, 22),
+          severity: 1,
+          code: 'eslint(for-direction)',
+          codeDescription: { href: 'https://oxc.rs/for-direction' },
+          message: 'Wrong direction\nhelp: Use `while`',
+          relatedInformation: [
+            { location: { uri, range: range(1, 24, 27) }, message: 'with this update' },
+            { location: { uri, range: range(1, 16, 22) }, message: 'This test' },
+          ],
+        },
+        codeActions: [
+          { title: 'Disable for-direction for this line', isPreferred: false, edit: { changes: { [uri]: [{ range: range(1, 0, 0), newText: '// x\n' }] } } },
+          { title: 'Fix', isPreferred: true, edit: { changes: { [uri]: [edit] } } },
+        ],
+      },
+      {
+        diagnostic: { range: range(0, 6, 7), severity: 3, code: 'oxc(x)', message: 'Advice' },
+        codeActions: [],
+      },
+    ], code, uri);
+
+    expect(diagnostics).toEqual([
+      {
+        message: 'Wrong direction',
+        code: 'eslint(for-direction)',
+        severity: 'error',
+        help: 'Use `while`',
+        url: 'https://oxc.rs/for-direction',
+        labels: [
+          { label: 'This test', span: { offset: 32, length: 6 } },
+          { label: 'with this update', span: { offset: 40, length: 3 } },
+        ],
+        fixes: [{ content: '', span: { start: 16, end: 47 } }],
+      },
+      {
+        message: 'Advice',
+        code: 'oxc(x)',
+        severity: 'advice',
+        url: undefined,
+        labels: [{ span: { offset: 6, length: 1 } }],
+        fixes: [],
+      },
+    ]);
+  });
+
+  it('should never use disable comments as fixes, even when preferred', () => {
+    const range = { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } };
+    const { diagnostics } = convertLanguageServerResults([
+      {
+        diagnostic: { range, severity: 1, code: 'eslint(eqeqeq)', message: 'Expected ===' },
+        codeActions: [
+          { title: 'Disable eqeqeq for this line', isPreferred: true, edit: { changes: { [uri]: [{ range, newText: '// oxlint-disable-next-line eqeqeq\n' }] } } },
+          { title: 'Suppress', edit: { changes: { [uri]: [{ range, newText: '/* eslint-disable eqeqeq */\n' }] } } },
+        ],
+      },
+    ], 'a == b', uri);
+
+    expect(diagnostics[0].fixes).toEqual([]);
+  });
+});
+
+describe('lsp backend', () => {
+  const binaryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-lsp-'));
+  const binary = path.join(binaryDir, 'oxlint');
+  fs.writeFileSync(binary, `#!${process.execPath}
+if (process.argv.includes('--version')) {
+  console.log('Version: 1.43.0');
+  process.exit(0);
+}
+import(${JSON.stringify(pathToFileURL(stubServer).href)});
+`, { mode: 0o755 });
+
+  afterAll(() => {
+    fs.rmSync(binaryDir, { recursive: true, force: true });
+  });
+
+  it('should lint in-memory code with the oxlint language server', () => {
+    const code = 'const a = 1;\ndebugger;\n';
+    const first = lint(code, 'src/lsp-backend.js', { rules: { 'no-debugger': 'error' } }, { backend: 'lsp' });
+    const second = lint(code.replace('debugger;', 'debugger;debugger;'), 'src/lsp-backend.js', { rules: { 'no-debugger': 'error' } }, { backend: 'lsp' });
+
+    const debuggers = diagnostics => diagnostics.filter(d => d.code === 'eslint(no-debugger)');
+    expect(debuggers(first.diagnostics)).toHaveLength(1);
+    expect(debuggers(first.diagnostics)[0]).toMatchObject({
+      severity: 'error',
+      labels: [{ span: { offset: 13, length: 9 } }],
+      fixes: [{ content: '', span: { start: 13, end: 22 } }],
+    });
+    expect(debuggers(second.diagnostics)).toHaveLength(2);
+  }, 30000);
+
+  it('should only use quick fixes that fix the problem', () => {
+    const code = 'debugger;\nif (a == b) {}\n';
+    const { diagnostics } = lint(code, 'src/lsp-fixes.js', { rules: { 'no-debugger': 'error', eqeqeq: 'error' } }, { backend: 'lsp' });
+
+    expect(diagnostics.find(d => d.code === 'eslint(eqeqeq)')).toMatchObject({ fixes: [] });
+    expect(diagnostics.find(d => d.code === 'eslint(no-debugger)')).toMatchObject({
+      fixes: [{ content: '', span: { start: 0, end: 9 } }],
+    });
+  }, 30000);
+
+  it.skipIf(process.platform === 'win32')('should fail a lint when the server does not answer within the timeout', () => {
+    const start = Date.now();
+    expect(() => lint('hang', 'src/lsp-hang.js', {}, { backend: 'lsp', binary, timeout: 300 }))
+      .toThrow('within 300ms');
+    expect(Date.now() - start).toBeLessThan(10_000);
+  });
+});
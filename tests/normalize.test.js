@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { compareVersions, MIN_OXLINT_VERSION, normalizeDiagnostic, normalizeLintOutput, parseOxlintVersion } from '../src/normalize.js';
+
+describe('parseOxlintVersion', () => {
+  it('should extract the version from the output of oxlint --version', () => {
+    expect(parseOxlintVersion('Version: 1.43.0\n')).toBe('1.43.0');
+    expect(parseOxlintVersion('oxlint v0.16.12')).toBe('0.16.12');
+    expect(parseOxlintVersion('unknown')).toBeNull();
+  });
+
+  it('should read the supported minimum from the peer dependency', () => {
+    expect(MIN_OXLINT_VERSION).toBe('1.3.0');
+  });
+});
+
+describe('compareVersions', () => {
+  it('should compare each part numerically', () => {
+    expect(compareVersions('1.10.0', '1.3.0')).toBeGreaterThan(0);
+    expect(compareVersions('0.16.12', '1.3.0')).toBeLessThan(0);
+    expect(compareVersions('1.3.0', '1.3.0')).toBe(0);
+  });
+});
+
+describe('normalizeDiagnostic', () => {
+  it('should keep the fields the rules use and drop the rest', () => {
+    expect(normalizeDiagnostic({
+      message: '`debugger` statement is not allowed',
+      code: 'eslint(no-debugger)',
+      severity: 'warning',
+      causes: [],
+      url: 'https://oxc.rs/docs/guide/usage/linter/rules/eslint/no-debugger.html',
+      help: 'Remove the debugger statement',
+      filename: 'a.js',
+      labels: [{ span: { offset: 0, length: 9, line: 1, column: 1 } }],
+      related: [],
+    })).toEqual({
+      message: '`debugger` statement is not allowed',
+      code: 'eslint(no-debugger)',
+      severity: 'warning',
+      url: 'https://oxc.rs/docs/guide/usage/linter/rules/eslint/no-debugger.html',
+      help: 'Remove the debugger statement',
+      filename: 'a.js',
+      labels: [{ span: { offset: 0, length: 9 } }],
+    });
+  });
+
+  it('should normalize severities and spans', () => {
+    expect(normalizeDiagnostic({
+      message: 'Unexpected var',
+      code: 'eslint(no-var)',
+      severity: 'Error',
+      labels: [{ label: 'here', span: { start: 4, end: 7 } }, { span: {} }],
+    })).toEqual({
+      message: 'Unexpected var',
+      code: 'eslint(no-var)',
+      severity: 'error',
+      labels: [{ label: 'here', span: { offset: 4, length: 3 } }],
+    });
+
+    expect(normalizeDiagnostic({ message: 'Parse error', severity: 'fatal' })).toEqual({
+      message: 'Parse error',
+      code: '',
+      severity: 'warning',
+      labels: [],
+    });
+  });
+});
+
+describe('normalizeLintOutput', () => {
+  it('should accept the report object and a bare list of diagnostics', () => {
+    const diagnostic = { message: 'm', code: 'eslint(eqeqeq)', severity: 'warning', labels: [] };
+    const expected = { diagnostics: [diagnostic] };
+
+    expect(normalizeLintOutput({ diagnostics: [diagnostic], number_of_files: 1 })).toEqual(expected);
+    expect(normalizeLintOutput([diagnostic, null])).toEqual(expected);
+    expect(normalizeLintOutput({})).toEqual({ diagnostics: [] });
+  });
+});
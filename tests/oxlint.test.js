@@ -1,6 +1,10 @@
 
-import { describe, expect, it } from 'vitest';
-import { mergeConfigs } from '../src/oxlint.js';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterAll, describe, expect, it, vi } from 'vitest';
+import { OxlintConfigError } from '../src/errors.js';
+import { chunkFileArguments, enforceRules, explainConfig, getLanguageExtension, getOxlintVersion, lint, loadConfigFile, mergeConfigs, parseRuleCatalog, readConfigFile, resolveOxlintBinary, resolveOxlintConfigFile } from '../src/oxlint.js';
 
 describe('mergeConfigs', () => {
   it('should handle null and undefined configurations', () => {
@@ -169,3 +173,636 @@ describe('mergeConfigs', () => {
     });
   });
 });
+
+describe('enforceRules', () => {
+  it('should replace every alias of an enforced rule', () => {
+    const config = {
+      plugins: ['react'],
+      rules: {
+        'no-debugger': 'off',
+        'eslint/no-console': 'error',
+        '@typescript-eslint/no-explicit-any': 'off',
+      },
+    };
+    const result = enforceRules(config, {
+      'eslint/no-debugger': 'warn',
+      'typescript/no-explicit-any': 'warn',
+    });
+
+    expect(result).toEqual({
+      plugins: ['react'],
+      rules: {
+        'eslint/no-console': 'error',
+        'eslint/no-debugger': 'warn',
+        'typescript/no-explicit-any': 'warn',
+      },
+    });
+    // Enforced rules come last, oxlint lets the last spelling win
+    expect(Object.keys(result.rules).at(-1)).toBe('typescript/no-explicit-any');
+  });
+
+  it('should return the config unchanged without enforced rules', () => {
+    const config = { rules: { 'no-debugger': 'off' } };
+    expect(enforceRules(config, {})).toBe(config);
+  });
+});
+
+describe('parseRuleCatalog', () => {
+  it('should parse the JSON catalog', () => {
+    const catalog = parseRuleCatalog('[{"scope":"eslint","value":"no-debugger","fix":"fixable_fix"}]');
+    expect(catalog).toEqual([{ scope: 'eslint', value: 'no-debugger', fix: 'fixable_fix' }]);
+  });
+
+  it('should parse the markdown tables of older oxlint versions', () => {
+    const catalog = parseRuleCatalog(`## Correctness (2)
+Code that is outright wrong or useless.
+| Rule name   | Source | Default | Enabled? | Fixable? |
+| ----------- | ------ | ------- | -------- | -------- |
+| no-debugger | eslint | ✅      | ✅       | 🛠️        |
+| alt-text    | jsx_a11y |       |          |          |
+`);
+
+    expect(catalog).toEqual([
+      {
+        scope: 'eslint',
+        value: 'no-debugger',
+        category: 'correctness',
+        fix: 'fixable_fix',
+        default: true,
+        docs_url: 'https://oxc.rs/docs/guide/usage/linter/rules/eslint/no-debugger.html',
+      },
+      {
+        scope: 'jsx_a11y',
+        value: 'alt-text',
+        category: 'correctness',
+        fix: 'none',
+        default: false,
+        docs_url: 'https://oxc.rs/docs/guide/usage/linter/rules/jsx_a11y/alt-text.html',
+      },
+    ]);
+  });
+});
+
+describe('getLanguageExtension', () => {
+  it('should use the extension of the file name', () => {
+    expect(getLanguageExtension('/project/src/app.tsx')).toBe('tsx');
+  });
+
+  it('should use the extension of virtual code block names', () => {
+    expect(getLanguageExtension('/project/README.md/0.ts')).toBe('ts');
+  });
+
+  it('should default to js', () => {
+    expect(getLanguageExtension('/project/README.md/0')).toBe('js');
+    expect(getLanguageExtension(undefined)).toBe('js');
+  });
+});
+
+describe('chunkFileArguments', () => {
+  it('should keep every chunk within the maximum length', () => {
+    const files = ['a.js', 'b.js', 'c.js', 'long/path.js'];
+    expect(chunkFileArguments(files, 10)).toEqual([['a.js', 'b.js'], ['c.js'], ['long/path.js']]);
+  });
+
+  it('should return a single chunk for short lists', () => {
+    expect(chunkFileArguments(['a.js', 'b.js'])).toEqual([['a.js', 'b.js']]);
+    expect(chunkFileArguments([])).toEqual([]);
+  });
+});
+
+describe('readConfigFile', () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-config-'));
+
+  afterAll(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  const writeConfig = (name, content) => {
+    const dir = path.join(tempRoot, name);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, '.oxlintrc.json'), content);
+    return dir;
+  };
+
+  const readError = filePath => {
+    try {
+      readConfigFile(filePath);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  it('should read configs with comments and trailing commas', () => {
+    const dir = writeConfig('jsonc', '{\n  // no debugger\n  "rules": { "no-debugger": "error", },\n}\n');
+    expect(readConfigFile(path.join(dir, '.oxlintrc.json'))).toEqual({ rules: { 'no-debugger': 'error' } });
+  });
+
+  it('should report syntax errors with the file, line and column', () => {
+    const filePath = path.join(writeConfig('syntax', '{\n  "rules": {\n    "no-debugger": error\n  }\n}\n'), '.oxlintrc.json');
+    const error = readError(filePath);
+
+    expect(error).toBeInstanceOf(OxlintConfigError);
+    expect(error).toMatchObject({ filePath, line: 3, column: 20, reason: "Unexpected 'e'" });
+    expect(error.message).toBe(`Invalid oxlint config ${filePath}:3:20: Unexpected 'e'`);
+  });
+
+  it('should reject configs that are not objects', () => {
+    const filePath = path.join(writeConfig('array', '[]'), '.oxlintrc.json');
+    expect(readError(filePath)).toMatchObject({ reason: 'Configuration must be an object', line: 1, column: 1 });
+  });
+
+  it('should report unreadable files', () => {
+    const filePath = path.join(tempRoot, 'missing.json');
+    const error = readError(filePath);
+    expect(error).toBeInstanceOf(OxlintConfigError);
+    expect(error.line).toBeUndefined();
+  });
+
+  it('should lint with a discovered JSONC config and throw for an invalid one', () => {
+    const dir = writeConfig('lint', '{\n  /* enabled by the config file */\n  "rules": { "no-debugger": "error", },\n}\n');
+    const result = lint('debugger;\n', path.join(dir, 'index.js'), {});
+    expect(result.diagnostics.map(d => [d.code, d.severity])).toEqual([['eslint(no-debugger)', 'error']]);
+
+    const invalidDir = writeConfig('lint-invalid', '{ "rules": { "no-debugger": "error" }');
+    expect(() => lint('debugger;\n', path.join(invalidDir, 'index.js'), {})).toThrow(OxlintConfigError);
+  });
+});
+
+describe('loadConfigFile', () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-extends-'));
+
+  afterAll(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  const writeFile = (relativePath, content) => {
+    const filePath = path.join(tempRoot, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+  };
+
+  writeFile('node_modules/@acme/oxlint-config/package.json', { name: '@acme/oxlint-config', main: 'oxlintrc.json' });
+  writeFile('node_modules/@acme/oxlint-config/oxlintrc.json', {
+    plugins: ['import'],
+    rules: { 'no-debugger': 'error', 'no-console': 'warn' },
+    overrides: [{ files: ['*.test.js'], rules: { 'no-console': 'off' } }],
+  });
+  writeFile('node_modules/@acme/oxlint-config/strict.json', { extends: ['./oxlintrc.json'], rules: { 'no-console': 'error' } });
+  writeFile('node_modules/@acme/oxlint-config/index.js', 'module.exports = {};');
+
+  it('should return configs without extends as they are', () => {
+    const filePath = writeFile('plain/.oxlintrc.json', { rules: { eqeqeq: 'warn' } });
+    expect(loadConfigFile(filePath)).toEqual({ rules: { eqeqeq: 'warn' } });
+  });
+
+  it('should resolve relative extends from the directory of the config', () => {
+    writeFile('shared/base.json', '{ "rules": { "eqeqeq": "warn", "no-var": "warn" }, } // shared');
+    const filePath = writeFile('relative/app/.oxlintrc.json', { extends: ['../../shared/base.json'], rules: { eqeqeq: 'error' } });
+
+    expect(loadConfigFile(filePath)).toEqual({ rules: { eqeqeq: 'error', 'no-var': 'warn' } });
+  });
+
+  it('should resolve package extends through Node resolution', () => {
+    const filePath = writeFile('package/.oxlintrc.json', {
+      extends: ['@acme/oxlint-config'],
+      plugins: ['react'],
+      overrides: [{ files: ['*.jsx'], rules: { 'no-debugger': 'off' } }],
+    });
+
+    expect(loadConfigFile(filePath)).toEqual({
+      plugins: ['import', 'react'],
+      rules: { 'no-debugger': 'error', 'no-console': 'warn' },
+      overrides: [
+        { files: ['*.test.js'], rules: { 'no-console': 'off' } },
+        { files: ['*.jsx'], rules: { 'no-debugger': 'off' } },
+      ],
+    });
+  });
+
+  it('should flatten nested chains, later entries winning', () => {
+    writeFile('chain/relaxed.json', { rules: { 'no-debugger': 'warn', 'no-console': 'off' } });
+    const filePath = writeFile('chain/.oxlintrc.json', { extends: ['@acme/oxlint-config/strict.json', './relaxed.json'] });
+
+    expect(loadConfigFile(filePath).rules).toEqual({ 'no-debugger': 'warn', 'no-console': 'off' });
+  });
+
+  it('should reject circular, unresolvable and non-JSON extends', () => {
+    writeFile('cycle/a.json', { extends: ['./.oxlintrc.json'] });
+    const cyclic = writeFile('cycle/.oxlintrc.json', { extends: ['./a.json'] });
+    expect(() => loadConfigFile(cyclic)).toThrow(/Circular extends: .*\.oxlintrc\.json -> .*a\.json -> .*\.oxlintrc\.json/);
+
+    const missing = writeFile('missing/.oxlintrc.json', { extends: ['@acme/missing-config'] });
+    expect(() => loadConfigFile(missing)).toThrow(OxlintConfigError);
+    expect(() => loadConfigFile(missing)).toThrow('Cannot find extended config "@acme/missing-config"');
+
+    const script = writeFile('script/.oxlintrc.json', { extends: ['@acme/oxlint-config/index.js'] });
+    expect(() => loadConfigFile(script)).toThrow(/must resolve to a JSON file/);
+
+    const invalid = writeFile('invalid/.oxlintrc.json', { extends: '@acme/oxlint-config' });
+    expect(() => loadConfigFile(invalid)).toThrow('"extends" must be an array of paths');
+  });
+
+  it('should lint with the rules of an extended package config', () => {
+    const dir = path.dirname(writeFile('lint/.oxlintrc.json', { extends: ['@acme/oxlint-config'] }));
+    const result = lint('debugger;\n', path.join(dir, 'index.js'), {});
+
+    expect(result.diagnostics.map(d => [d.code, d.severity])).toEqual([['eslint(no-debugger)', 'error']]);
+  });
+});
+
+describe('path-based config', () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-paths-'));
+
+  afterAll(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  fs.writeFileSync(path.join(tempRoot, '.oxlintrc.json'), JSON.stringify({
+    plugins: [],
+    rules: { 'no-debugger': 'off' },
+    ignorePatterns: ['generated/', '*.gen.js'],
+    overrides: [
+      { files: ['src/**/*.test.js'], rules: { 'no-debugger': 'error' } },
+      { files: ['*.spec.js'], plugins: ['jest'], rules: { 'jest/expect-expect': 'error' } },
+    ],
+  }));
+
+  const codes = (code, relativePath, options) =>
+    lint(code, path.join(tempRoot, relativePath), {}, options).diagnostics.map(d => d.code);
+
+  it('should apply overrides matching the original path relative to the config', () => {
+    expect(codes('debugger;\n', 'src/a/b.test.js')).toEqual(['eslint(no-debugger)']);
+    expect(codes('debugger;\n', 'src/a/b.js')).toEqual([]);
+    expect(codes('debugger;\n', 'lib/b.test.js')).toEqual([]);
+  });
+
+  it('should not lint ignored files', () => {
+    expect(lint('debugger;\n', path.join(tempRoot, 'generated/a.js'), {}, { enforcedRules: { 'no-debugger': 'error' } }))
+      .toEqual({ diagnostics: [] });
+    expect(lint('debugger;\n', path.join(tempRoot, 'src/a.gen.js'), {}))
+      .toEqual({ diagnostics: [] });
+  });
+
+  it('should keep test files recognizable by name', () => {
+    expect(codes('it("works", () => {});\n', 'src/a.spec.js')).toEqual(['eslint-plugin-jest(expect-expect)']);
+  });
+
+  it('should evaluate inline overrides relative to the root', () => {
+    // Outside the directory of the config file above
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-inline-'));
+    const config = { overrides: [{ files: ['test/**'], rules: { 'no-debugger': 'error' } }] };
+    const result = lint('debugger;\n', path.join(root, 'test/a.js'), config, { root });
+
+    fs.rmSync(root, { recursive: true, force: true });
+    expect(result.diagnostics.map(d => [d.code, d.severity])).toEqual([['eslint(no-debugger)', 'error']]);
+  });
+});
+
+describe('nested configs', () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-nested-'));
+  const repo = path.join(tempRoot, 'repo');
+
+  afterAll(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  const writeConfig = (dir, config) => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, '.oxlintrc.json'), JSON.stringify(config));
+  };
+
+  // Above the repository, never merged
+  writeConfig(tempRoot, { rules: { 'no-var': 'error' } });
+  fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+  writeConfig(repo, {
+    rules: { 'no-debugger': 'error', eqeqeq: 'warn' },
+    overrides: [{ files: ['packages/a/*.test.js'], rules: { 'no-debugger': 'off' } }],
+  });
+  writeConfig(path.join(repo, 'packages/a'), { rules: { eqeqeq: 'off' } });
+  writeConfig(path.join(repo, 'packages/b'), { root: true, rules: { eqeqeq: 'error' } });
+
+  const code = 'debugger;\nif (a == b) {}\nexport var x;\n';
+  const results = (relativePath, options) =>
+    lint(code, path.join(repo, relativePath), {}, options).diagnostics.map(d => [d.code, d.severity]).sort();
+
+  it('should only use the nearest config by default', () => {
+    expect(results('packages/a/index.js')).toEqual([['eslint(no-debugger)', 'warning']]);
+  });
+
+  it('should merge every config up to the repository root, the nearest winning', () => {
+    expect(results('packages/a/index.js', { mergeNestedConfigs: true })).toEqual([['eslint(no-debugger)', 'error']]);
+    expect(results('src/index.js', { mergeNestedConfigs: true })).toEqual([
+      ['eslint(eqeqeq)', 'warning'],
+      ['eslint(no-debugger)', 'error'],
+    ]);
+  });
+
+  it('should evaluate overrides relative to the config file they come from', () => {
+    expect(results('packages/a/index.test.js', { mergeNestedConfigs: true })).toEqual([]);
+  });
+
+  it('should stop at a root config', () => {
+    expect(results('packages/b/index.js', { mergeNestedConfigs: true })).toEqual([
+      ['eslint(eqeqeq)', 'error'],
+      ['eslint(no-debugger)', 'warning'],
+    ]);
+  });
+});
+
+describe('config discovery cache', () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-discovery-'));
+
+  afterAll(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  // Writes a file with a modification time distinct from the previous version
+  let tick = Date.now() / 1000 - 1000;
+  const writeFile = (relativePath, content) => {
+    const filePath = path.join(tempRoot, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(content));
+    tick += 10;
+    fs.utimesSync(filePath, tick, tick);
+    return filePath;
+  };
+
+  const countReads = (filePath, callback) => {
+    const readFileSync = vi.spyOn(fs, 'readFileSync');
+    try {
+      callback();
+      return readFileSync.mock.calls.filter(([file]) => file === filePath).length;
+    } finally {
+      readFileSync.mockRestore();
+    }
+  };
+
+  it('should parse a config file once until it is modified', () => {
+    const filePath = writeFile('edit/.oxlintrc.json', { rules: { eqeqeq: 'warn' } });
+
+    expect(countReads(filePath, () => {
+      expect(loadConfigFile(filePath)).toEqual({ rules: { eqeqeq: 'warn' } });
+      expect(loadConfigFile(filePath)).toEqual({ rules: { eqeqeq: 'warn' } });
+    })).toBe(1);
+
+    writeFile('edit/.oxlintrc.json', { rules: { eqeqeq: 'error' } });
+    expect(loadConfigFile(filePath)).toEqual({ rules: { eqeqeq: 'error' } });
+  });
+
+  it('should return copies of cached configs', () => {
+    const filePath = writeFile('copies/.oxlintrc.json', { rules: { eqeqeq: 'warn' } });
+    loadConfigFile(filePath).rules.eqeqeq = 'off';
+
+    expect(loadConfigFile(filePath)).toEqual({ rules: { eqeqeq: 'warn' } });
+  });
+
+  it('should reload a config when a file it extends is modified', () => {
+    writeFile('chain/base.json', { rules: { eqeqeq: 'warn' } });
+    const filePath = writeFile('chain/.oxlintrc.json', { extends: ['./base.json'] });
+    expect(loadConfigFile(filePath)).toEqual({ rules: { eqeqeq: 'warn' } });
+
+    writeFile('chain/base.json', { rules: { eqeqeq: 'error' } });
+    expect(loadConfigFile(filePath)).toEqual({ rules: { eqeqeq: 'error' } });
+  });
+
+  it('should notice config files created and removed since the last lookup', () => {
+    const outer = writeFile('nested/.oxlintrc.json', {});
+    const file = path.join(tempRoot, 'nested/src/a/index.js');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    expect(resolveOxlintConfigFile(file)).toBe(outer);
+
+    const inner = writeFile('nested/src/.oxlintrc.json', {});
+    expect(resolveOxlintConfigFile(file)).toBe(inner);
+
+    fs.rmSync(inner);
+    expect(resolveOxlintConfigFile(file)).toBe(outer);
+  });
+
+  it('should pick up edits to the config between lints', () => {
+    writeFile('lint/.oxlintrc.json', { rules: { 'no-debugger': 'off' } });
+    const file = path.join(tempRoot, 'lint/index.js');
+    expect(lint('debugger;\n', file, {}).diagnostics).toEqual([]);
+
+    writeFile('lint/.oxlintrc.json', { rules: { 'no-debugger': 'error' } });
+    expect(lint('debugger;\n', file, {}).diagnostics.map(d => d.severity)).toEqual(['error']);
+  });
+});
+
+describe('config precedence and provenance', () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-provenance-'));
+  const repo = path.join(tempRoot, 'repo');
+
+  afterAll(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  const writeFile = (relativePath, content) => {
+    const filePath = path.join(repo, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(content));
+    return filePath;
+  };
+
+  fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+  const shared = writeFile('shared/base.json', { rules: { eqeqeq: 'warn', 'no-var': 'error' } });
+  const rootConfig = writeFile('.oxlintrc.json', {
+    extends: ['./shared/base.json'],
+    rules: { 'no-debugger': 'off' },
+    overrides: [{ files: ['*.test.js'], rules: { 'no-console': 'off' } }],
+  });
+  const packageConfig = writeFile('packages/a/.oxlintrc.json', { rules: { eqeqeq: 'error' } });
+  const file = path.join(repo, 'packages/a/index.test.js');
+
+  it('should let config files win by default and inline options with configPrecedence: inline', () => {
+    const inline = { rules: { 'no-debugger': 'error', 'no-alert': 'warn' } };
+
+    expect(explainConfig(file, inline, { mergeNestedConfigs: true }).config.rules).toMatchObject({
+      'no-debugger': 'off',
+      'no-alert': 'warn',
+    });
+    expect(explainConfig(file, inline, { mergeNestedConfigs: true, configPrecedence: 'inline' }).config.rules)
+      .toMatchObject({ 'no-debugger': 'error', 'no-alert': 'warn' });
+  });
+
+  it('should record the source of every rule', () => {
+    const explanation = explainConfig(file, { rules: { 'no-alert': 'warn' } }, {
+      mergeNestedConfigs: true,
+      enforcedRules: { 'eslint/no-empty': 'warn' },
+    });
+
+    expect(explanation.configFiles).toEqual([packageConfig, rootConfig]);
+    expect(explanation.ignored).toBe(false);
+    expect(explanation.rules).toEqual({
+      'no-alert': { value: 'warn', source: { type: 'inline' } },
+      'eqeqeq': { value: 'error', source: { type: 'file', filePath: packageConfig } },
+      'no-var': { value: 'error', source: { type: 'file', filePath: shared, extendedBy: [rootConfig] } },
+      'no-debugger': { value: 'off', source: { type: 'file', filePath: rootConfig } },
+      'no-console': { value: 'off', source: { type: 'file', filePath: rootConfig, override: { files: ['*.test.js'] } } },
+      'eslint/no-empty': { value: 'warn', source: { type: 'enforced' } },
+    });
+  });
+
+  it('should lint with the inline options winning when configured', () => {
+    const code = 'debugger;\n';
+    const inline = { rules: { 'no-debugger': 'error' } };
+
+    expect(lint(code, file, inline, { mergeNestedConfigs: true }).diagnostics).toEqual([]);
+    expect(lint(code, file, inline, { mergeNestedConfigs: true, configPrecedence: 'inline' }).diagnostics.map(d => d.severity))
+      .toEqual(['error']);
+  });
+});
+
+describe('oxlint binary resolution', () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-binary-'));
+  const pluginBinary = path.resolve('node_modules/oxlint/bin/oxlint');
+
+  const writeFile = (relativePath, content) => {
+    const filePath = path.join(tempRoot, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  // A workspace with oxlint hoisted to its root and a package without its own install
+  const hoistedBinary = writeFile('workspace/node_modules/oxlint/bin/oxlint', '');
+  writeFile('workspace/node_modules/oxlint/package.json', JSON.stringify({ name: 'oxlint', bin: { oxlint: 'bin/oxlint' } }));
+  writeFile('workspace/package.json', '{}');
+  writeFile('workspace/packages/app/package.json', '{}');
+  const linkedBinary = writeFile('linked/node_modules/.bin/oxlint', '');
+  writeFile('linked/package.json', '{}');
+  writeFile('bare/package.json', '{}');
+
+  afterAll(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    vi.unstubAllEnvs();
+  });
+
+  it('should resolve the oxlint package hoisted to a workspace root', () => {
+    expect(resolveOxlintBinary(path.join(tempRoot, 'workspace/packages/app/src'))).toBe(hoistedBinary);
+  });
+
+  it('should fall back to node_modules/.bin and then to the oxlint of the plugin', () => {
+    expect(resolveOxlintBinary(path.join(tempRoot, 'linked/src'))).toBe(linkedBinary);
+    expect(resolveOxlintBinary(path.join(tempRoot, 'bare'))).toBe(pluginBinary);
+  });
+
+  it('should cache the binary per package root', () => {
+    const cachedBinary = writeFile('cached/node_modules/.bin/oxlint', '');
+    writeFile('cached/package.json', '{}');
+    expect(resolveOxlintBinary(path.join(tempRoot, 'cached/src'))).toBe(cachedBinary);
+
+    fs.rmSync(path.join(tempRoot, 'cached/node_modules'), { recursive: true });
+    expect(resolveOxlintBinary(path.join(tempRoot, 'cached/lib'))).toBe(cachedBinary);
+  });
+
+  it('should not look for the package of a directory again', () => {
+    const dir = path.join(tempRoot, 'linked/lib');
+    expect(resolveOxlintBinary(dir)).toBe(linkedBinary);
+
+    const access = vi.spyOn(fs, 'accessSync');
+    try {
+      expect(resolveOxlintBinary(dir)).toBe(linkedBinary);
+      expect(access).not.toHaveBeenCalled();
+    } finally {
+      access.mockRestore();
+    }
+  });
+
+  it('should prefer the binary option, then the OXLINT_X_BINARY environment variable', () => {
+    vi.stubEnv('OXLINT_X_BINARY', '/opt/oxlint');
+    try {
+      expect(resolveOxlintBinary(tempRoot, { binary: 'tools/oxlint', root: '/project' })).toBe(path.resolve('/project/tools/oxlint'));
+      expect(resolveOxlintBinary(tempRoot)).toBe(path.resolve('/opt/oxlint'));
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+
+  it('should lint with the binary option', () => {
+    const file = writeFile('bare/index.js', '');
+    expect(lint('debugger;\n', file, {}, { binary: pluginBinary }).diagnostics.map(d => d.code)).toEqual(['eslint(no-debugger)']);
+    expect(() => lint('debugger;\n', file, {}, { binary: path.join(tempRoot, 'missing/oxlint') })).toThrow(/ENOENT/);
+  });
+
+  it.skipIf(process.platform === 'win32')('should fail when oxlint exits without output', () => {
+    const crashingBinary = writeFile('crashing/oxlint', '#!/bin/sh\nexit 3\n');
+    fs.chmodSync(crashingBinary, 0o755);
+    const file = writeFile('bare/crash.js', '');
+    expect(() => lint('let a;\n', file, {}, { binary: crashingBinary })).toThrow('Oxlint exited with code 3');
+  });
+});
+
+describe('oxlint version detection', () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-version-'));
+
+  // An old oxlint printing a bare list of diagnostics with start and end spans
+  const oldBinary = path.join(tempRoot, 'oxlint');
+  fs.writeFileSync(oldBinary, `#!/bin/sh
+if [ "$1" = "--version" ]; then echo "Version: 1.2.0"; exit 0; fi
+echo '[{"message":"Unexpected debugger","code":"eslint(no-debugger)","severity":"Warning","labels":[{"span":{"start":8,"end":17}}]}]'
+`, { mode: 0o755 });
+
+  afterAll(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  it('should detect the version of the installed oxlint', () => {
+    expect(getOxlintVersion(path.resolve('node_modules/oxlint/bin/oxlint'))).toMatch(/^\d+\.\d+\.\d+$/);
+  });
+
+  it.skipIf(process.platform === 'win32')('should warn once about unsupported versions and normalize their output', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const code = '/* é */debugger;\n';
+      const file = path.join(tempRoot, 'index.js');
+      expect(lint(code, file, {}, { binary: oldBinary }).diagnostics).toEqual([{
+        message: 'Unexpected debugger',
+        code: 'eslint(no-debugger)',
+        severity: 'warning',
+        labels: [{ span: { offset: 7, length: 9 } }],
+      }]);
+      lint('debugger;\n', file, {}, { binary: oldBinary });
+
+      expect(getOxlintVersion(oldBinary)).toBe('1.2.0');
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toContain('oxlint 1.2.0');
+      expect(warn.mock.calls[0][0]).toContain('older than the supported 1.3.0');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe.skipIf(process.platform === 'win32')('oxlint process control', () => {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-process-'));
+  const file = path.join(tempRoot, 'index.js');
+
+  // Fake binaries answering --version, and misbehaving otherwise
+  const writeBinary = (name, script) => {
+    const binary = path.join(tempRoot, name);
+    fs.writeFileSync(binary, `#!/bin/sh
+if [ "$1" = "--version" ]; then echo "Version: 1.43.0"; exit 0; fi
+${script}
+`, { mode: 0o755 });
+    return binary;
+  };
+
+  afterAll(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  it('should kill oxlint after the timeout', () => {
+    const binary = writeBinary('hanging', 'exec sleep 30');
+    const start = Date.now();
+    expect(() => lint('let a;\n', file, {}, { binary, timeout: 300 }))
+      .toThrow('Oxlint did not finish within 300 ms and was killed');
+    expect(Date.now() - start).toBeLessThan(10000);
+  });
+
+  it('should detect output truncated by the output limit', () => {
+    const binary = writeBinary('verbose', 'head -c 11000000 /dev/zero | tr "\\0" " "');
+    expect(() => lint('let b;\n', file, {}, { binary })).toThrow(/Oxlint output exceeded \d+ bytes and was truncated/);
+  });
+});
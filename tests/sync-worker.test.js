@@ -0,0 +1,100 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { Worker } from 'node:worker_threads';
+import { afterAll, afterEach, describe, expect, it, vi } from 'vitest';
+import { createSyncWorker } from '../src/sync-worker.js';
+
+const workerUrl = new URL('./fixtures/sync-worker.js', import.meta.url);
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-sync-worker-'));
+
+/**
+ * Checks whether a process is still running. A killed child of a terminated
+ * worker stays a zombie, nobody reaps it, so it does not count.
+ * @param {number} pid - Process id
+ * @returns {boolean} Whether the process runs
+ */
+const isRunning = pid => {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf-8');
+    return stat.slice(stat.lastIndexOf(')') + 2)[0] !== 'Z';
+  } catch {
+    return false;
+  }
+};
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('sync worker', () => {
+  const workers = [];
+  const create = () => {
+    const worker = createSyncWorker(workerUrl, { name: 'test worker', gracePeriod: 500 });
+    workers.push(worker);
+    return worker;
+  };
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    workers.splice(0).forEach(worker => worker.terminate());
+  });
+
+  it('should return the result of the worker function', () => {
+    const worker = create();
+    expect(worker.call({ action: 'echo', value: { a: [1, 2] } })).toEqual({ a: [1, 2] });
+    expect(worker.call({ action: 'echo', value: 'again' })).toBe('again');
+  });
+
+  it('should throw the error of the worker function with its code', () => {
+    const worker = create();
+    expect(() => worker.call({ action: 'fail', value: 'broken' })).toThrow(expect.objectContaining({
+      message: 'broken',
+      code: 'EFAIL',
+    }));
+    expect(worker.call({ action: 'echo', value: 1 })).toBe(1);
+  });
+
+  it('should wait for a worker that keeps responding beyond the grace period', () => {
+    const worker = create();
+    expect(worker.call({ action: 'sleep', value: 1200 })).toBe('slept');
+  });
+
+  it('should drop a blocked worker even without a timeout and start a new one', () => {
+    const terminate = vi.spyOn(Worker.prototype, 'terminate');
+    const worker = create();
+    const start = Date.now();
+
+    expect(() => worker.call({ action: 'block', value: 60_000 }, { timeout: 0 }))
+      .toThrow('The test worker stopped responding for 500 ms and was restarted');
+    expect(Date.now() - start).toBeLessThan(10_000);
+    expect(terminate).toHaveBeenCalledTimes(1);
+    expect(worker.call({ action: 'echo', value: 'alive' })).toBe('alive');
+  });
+
+  it('should drop a worker that does not answer within the timeout', () => {
+    const terminate = vi.spyOn(Worker.prototype, 'terminate');
+    const worker = create();
+
+    expect(() => worker.call({ action: 'sleep', value: 60_000 }, { timeout: 300 }))
+      .toThrow('The test worker did not answer within 300 ms and was restarted');
+    expect(terminate).toHaveBeenCalledTimes(1);
+    expect(worker.call({ action: 'echo', value: 'alive' })).toBe('alive');
+  });
+
+  it.skipIf(process.platform !== 'linux')('should kill the process of a dropped worker', async () => {
+    const worker = create();
+    const pidFile = path.join(tempDir, 'pid');
+
+    expect(() => worker.call({ action: 'spawn', value: 60_000, pidFile })).toThrow('stopped responding');
+    const pid = Number(fs.readFileSync(pidFile, 'utf-8'));
+    expect(pid).toBeGreaterThan(0);
+    // SIGKILL is delivered asynchronously
+    const deadline = Date.now() + 2000;
+    while (isRunning(pid) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    expect(isRunning(pid)).toBe(false);
+  });
+});
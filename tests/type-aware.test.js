@@ -0,0 +1,122 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { afterAll, beforeEach, describe, expect, it } from 'vitest';
+import { format, lint, resolveTsconfigFile } from '../src/oxlint.js';
+
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oxlint-x-type-aware-'));
+const srcDir = path.join(projectDir, 'src');
+const filePath = path.join(srcDir, 'index.ts');
+const tsconfigPath = path.join(projectDir, 'tsconfig.json');
+const code = 'import { helper } from \'./helper\';\nimport { dep } from \'dep\';\nexport const value: number = helper(dep);\n';
+
+fs.mkdirSync(srcDir);
+fs.writeFileSync(tsconfigPath, '{ "compilerOptions": { "strict": true } }');
+fs.writeFileSync(filePath, code);
+fs.writeFileSync(path.join(srcDir, 'helper.ts'), 'export const helper = (n: number) => n;\n');
+fs.mkdirSync(path.join(projectDir, 'node_modules/dep'), { recursive: true });
+fs.writeFileSync(path.join(projectDir, 'node_modules/dep/package.json'), '{ "name": "dep", "types": "index.d.ts" }');
+fs.writeFileSync(path.join(projectDir, 'node_modules/dep/index.d.ts'), 'export declare const dep: number;\n');
+
+// Stand-in for oxlint with tsgolint: checks, with the TypeScript compiler,
+// that the linted file belongs to the project of --tsconfig and that its
+// imports resolve, and logs what it saw
+const logPath = path.join(projectDir, 'calls.log');
+const binary = path.join(projectDir, 'oxlint');
+fs.writeFileSync(binary, `#!${process.execPath}
+const fs = require('node:fs');
+const path = require('node:path');
+const ts = require(${JSON.stringify(path.resolve('node_modules/typescript'))});
+
+const args = process.argv.slice(2);
+if (args.includes('--version')) {
+  console.log('Version: 1.43.0');
+  process.exit(0);
+}
+
+const target = path.resolve(args[args.length - 1]);
+const tsconfig = args.includes('--tsconfig') ? args[args.indexOf('--tsconfig') + 1] : null;
+const parsed = tsconfig && ts.getParsedCommandLineOfConfigFile(tsconfig, {}, { ...ts.sys, onUnRecoverableConfigFileDiagnostic() {} });
+const imports = [...fs.readFileSync(target, 'utf-8').matchAll(/from '([^']+)'/g)].map(match => match[1]);
+fs.appendFileSync(${JSON.stringify(logPath)}, JSON.stringify({
+  args,
+  target,
+  inProject: !!parsed && parsed.fileNames.map(file => path.resolve(file)).includes(target),
+  unresolved: imports.filter(name => !parsed || !ts.resolveModuleName(name, target, parsed.options, ts.sys).resolvedModule),
+}) + '\\n');
+console.log('{"diagnostics":[]}');
+`, { mode: 0o755 });
+
+const readCalls = () => fs.readFileSync(logPath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+const listSourceFiles = () => fs.readdirSync(srcDir).sort();
+
+afterAll(() => {
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+describe.skipIf(process.platform === 'win32')('type-aware linting', () => {
+  const sourceFiles = listSourceFiles();
+
+  beforeEach(() => {
+    fs.rmSync(logPath, { force: true });
+  });
+
+  it('should find the nearest tsconfig.json of the file', () => {
+    expect(resolveTsconfigFile(filePath)).toBe(tsconfigPath);
+  });
+
+  it('should lint the real file with its tsconfig when the code is unchanged', () => {
+    lint(code, filePath, {}, { typeAware: true, binary });
+
+    const calls = readCalls();
+    expect(calls).toHaveLength(1);
+    expect(calls[0].target).toBe(filePath);
+    expect(calls[0].args).toContain('--type-aware');
+    expect(calls[0].args.join(' ')).toContain(`--tsconfig ${tsconfigPath}`);
+    expect(calls[0]).toMatchObject({ inProject: true, unresolved: [] });
+  });
+
+  it('should lint a copy outside the source tree that belongs to the project when the code differs from disk', () => {
+    lint(code.replace('number', 'string'), filePath, {}, { typeAware: true, binary });
+
+    const [call] = readCalls();
+    expect(call.target).not.toBe(filePath);
+    expect(call.target.startsWith(path.join(projectDir, 'node_modules', '.oxlint-temp'))).toBe(true);
+    expect(call.target.endsWith(path.join('src', 'index.ts'))).toBe(true);
+    expect(call).toMatchObject({ inProject: true, unresolved: [] });
+    expect(fs.existsSync(call.target)).toBe(false);
+    expect(listSourceFiles()).toEqual(sourceFiles);
+  });
+
+  it('should lint a copy belonging to the project for code blocks of a processor', () => {
+    lint(code, path.join(filePath, '0.ts'), {}, { typeAware: true, physicalFilename: filePath, binary });
+
+    const [call] = readCalls();
+    expect(call.target.endsWith(path.join('src', '0.ts'))).toBe(true);
+    expect(call).toMatchObject({ inProject: true, unresolved: [] });
+  });
+
+  it('should never run fix passes on the real file', () => {
+    format(code, filePath, {}, { typeAware: true, binary });
+
+    const calls = readCalls();
+    expect(calls.length).toBeGreaterThan(0);
+    for (const call of calls) {
+      expect(call.target).not.toBe(filePath);
+      expect(call.args).toContain('--fix');
+      expect(call.args).toContain('--type-aware');
+      expect(call).toMatchObject({ inProject: true, unresolved: [] });
+    }
+    expect(fs.readFileSync(filePath, 'utf-8')).toBe(code);
+    expect(listSourceFiles()).toEqual(sourceFiles);
+  });
+
+  it('should use the shared temp directory without type-aware mode', () => {
+    lint(code, filePath, {}, { binary });
+
+    const [call] = readCalls();
+    expect(call.target).not.toContain(projectDir);
+    expect(call.args).not.toContain('--type-aware');
+  });
+});
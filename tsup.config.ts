@@ -1,7 +1,7 @@
 import { defineConfig } from 'tsup'
 
 export default defineConfig({
-  entry: ['src/index.js', 'src/oxlint-worker.js'],
+  entry: ['src/index.js', 'src/oxlint-worker.js', 'src/oxlint-lsp-worker.js', 'src/cli.js'],
   format: ['cjs', 'esm'],
   clean: true,
   dts: true,